@@ -61,6 +61,11 @@ function setupMcpListeners(sessionData, sessionId) {
               return;
             }
           } else if (parsed.method) {
+            // Streamed output counts as activity: restart the request timeout
+            if (parsed.method === "notifications/progress") {
+              refreshRequestTimeout(sessionData, parsed.params?.progressToken);
+            }
+
             // Server-initiated notification
             console.log(
               `Forwarding server notification: ${JSON.stringify(parsed)}`
@@ -93,6 +98,25 @@ function setupMcpListeners(sessionData, sessionId) {
   sessionData.listenersSetup = true;
 }
 
+// Restart the timeout of the pending request that owns a progress token
+function refreshRequestTimeout(sessionData, progressToken) {
+  if (progressToken === undefined) return;
+
+  for (const pendingRequest of sessionData.pendingRequests.values()) {
+    if (
+      pendingRequest.progressToken === progressToken &&
+      pendingRequest.handleTimeout
+    ) {
+      clearTimeout(pendingRequest.timeout);
+      pendingRequest.timeout = setTimeout(
+        pendingRequest.handleTimeout,
+        pendingRequest.timeoutDuration
+      );
+      return;
+    }
+  }
+}
+
 function handleNotification(message, sessionData, res) {
   console.log(`Processing notification: ${message.method}`);
 
@@ -224,7 +224,7 @@ router.post("/mcp", verifyBearerToken, async (req, res) => {
     const progressInterval = setupProgressInterval(message, sessionData);
 
     // Set up response handler for regular requests
-    const responseTimeout = setTimeout(() => {
+    const handleTimeout = () => {
       log("WARN", "[MCP_ENDPOINT] Request timeout", {
         timeout_duration: timeoutDuration,
         message_id: message.id,
@@ -258,13 +258,18 @@ router.post("/mcp", verifyBearerToken, async (req, res) => {
           });
         }
       }
-    }, timeoutDuration);
+    };
+    const responseTimeout = setTimeout(handleTimeout, timeoutDuration);
 
     // Store pending request only if there's an ID
+    // progressToken/handleTimeout let progress notifications extend the timeout
     if (message.id !== undefined) {
       sessionData.pendingRequests.set(message.id, {
         res,
         timeout: responseTimeout,
+        timeoutDuration,
+        handleTimeout,
+        progressToken: message.params?._meta?.progressToken,
         method: message.method,
         timestamp: Date.now(),
         progressInterval,
@@ -30,6 +30,9 @@ function createMcpProcess(userApiKey, userId = null) {
       CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
       MCP_TIMEOUT: config.timeouts.REQUEST_TIMEOUT.toString(),
       MCP_TOOL_TIMEOUT: config.timeouts.REQUEST_TIMEOUT.toString(),
+      // Users share this host: local file access stays off unless the
+      // admin sets LOCAL_FILE_ACCESS=on
+      MCP_GATEWAY: "on",
     },
   });
 
@@ -0,0 +1,512 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { resolveAllowedPath } from './utils/file-access.js';
+
+export const MAX_BATCH_ITEMS = 10000;
+export const MAX_BATCH_CONCURRENCY = 16;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_DELAY = 1000; // ms, doubled on every retry
+// Running batches refresh updated_at this often; one that has not been
+// refreshed for STALE_AFTER was interrupted
+const HEARTBEAT_INTERVAL = 30000; // ms
+const STALE_AFTER = 90000; // ms
+const BATCH_ID_PATTERN = /^batch_[a-f0-9]{16}$/;
+
+export type BatchItemType = 'chat' | 'analyze_image' | 'multi_image_analysis';
+
+/**
+ * "interrupted" batches were running when their server process stopped;
+ * submitting them again resumes them. Batches may run in another session's
+ * process, since sessions with the same API key share the batch directory.
+ */
+export type BatchStatus = 'running' | 'completed' | 'cancelled' | 'interrupted';
+
+export interface BatchItemResult {
+  line: number;
+  id?: string;
+  type?: BatchItemType;
+  status: 'ok' | 'error';
+  output?: string;
+  structured_content?: unknown;
+  error?: string;
+  attempts: number;
+  usage?: unknown;
+}
+
+export interface BatchJob {
+  id: string;
+  status: BatchStatus;
+  input_path: string;
+  output_path: string;
+  total: number;
+  succeeded: number;
+  failed: number;
+  concurrency: number;
+  max_retries: number;
+  cost_usd: number | null;
+  total_tokens: number;
+  created_at: string;
+  updated_at: string;
+  finished_at?: string;
+  cancel_requested?: boolean;
+}
+
+/**
+ * Runs one batch item through a tool handler and returns the tool result
+ */
+export type BatchItemRunner = (
+  type: BatchItemType,
+  args: Record<string, any>
+) => Promise<{ content: Array<{ text?: string }>; isError?: boolean; structuredContent?: unknown; metadata?: any }>;
+
+/**
+ * The input schema of each item type's tool, so items are held to the same
+ * limits as calls to the tools themselves
+ */
+export type BatchItemSchemas = Record<BatchItemType, z.ZodTypeAny>;
+
+/**
+ * Whether the batch ID is well formed, before it is used as a directory name
+ */
+export function isValidBatchId(id: string): boolean {
+  return BATCH_ID_PATTERN.test(id);
+}
+
+/**
+ * The tool a JSONL line is meant for: its "type", else inferred from its
+ * fields
+ */
+function getItemType(item: Record<string, any>): BatchItemType {
+  if (item.type !== undefined) {
+    if (item.type === 'chat' || item.type === 'analyze_image' || item.type === 'multi_image_analysis') {
+      return item.type;
+    }
+    throw new Error(`Unknown item type "${item.type}" (use chat, analyze_image or multi_image_analysis)`);
+  }
+  if (item.messages) return 'chat';
+  if (item.image_path) return 'analyze_image';
+  if (item.images) return 'multi_image_analysis';
+  throw new Error('Cannot tell the item type: expected messages, image_path or images');
+}
+
+/**
+ * Add an item's outcome and usage to the batch totals
+ */
+function addResult(job: BatchJob, result: BatchItemResult) {
+  if (result.status === 'ok') job.succeeded++;
+  else job.failed++;
+  const usage = result.usage as { total_tokens?: number; cost_usd?: number | null } | undefined;
+  job.total_tokens += usage?.total_tokens || 0;
+  if (typeof usage?.cost_usd === 'number') {
+    job.cost_usd = (job.cost_usd ?? 0) + usage.cost_usd;
+  }
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs JSONL batches in the background. Each batch keeps its state under
+ * its own directory: batch.json with the job record, checkpoint.json with
+ * the lines already done, and (by default) results.jsonl. A batch that
+ * was interrupted resumes from its checkpoint when submitted again.
+ */
+export class BatchManager {
+  private running = new Map<string, { cancelled: boolean; done: Promise<void> }>();
+
+  constructor(
+    private rootDir: string,
+    private runItem: BatchItemRunner,
+    private itemSchemas: BatchItemSchemas
+  ) {}
+
+  private batchDir(id: string): string {
+    return path.join(this.rootDir, id);
+  }
+
+  private async readJson<T>(filePath: string): Promise<T | null> {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8')) as T;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated record
+  private async writeJson(filePath: string, value: unknown): Promise<void> {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Unique per write: the heartbeat, cancel and resume can write batch.json at once
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(value), 'utf-8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a batch. Batches recorded as running whose heartbeat stopped were
+   * interrupted.
+   */
+  async getJob(id: string): Promise<BatchJob | null> {
+    if (!isValidBatchId(id)) return null;
+    const job = await this.readJson<BatchJob>(path.join(this.batchDir(id), 'batch.json'));
+    if (
+      job &&
+      job.status === 'running' &&
+      !this.running.has(id) &&
+      Date.now() - Date.parse(job.updated_at) > STALE_AFTER
+    ) {
+      return { ...job, status: 'interrupted' };
+    }
+    return job;
+  }
+
+  /**
+   * Start a batch from a JSONL file, or resume an interrupted one
+   */
+  async submit(options: {
+    input_path?: string;
+    output_path?: string;
+    batch_id?: string;
+    concurrency?: number;
+    max_retries?: number;
+  }): Promise<BatchJob> {
+    if (options.batch_id) {
+      return this.resume(options.batch_id, options);
+    }
+    if (!options.input_path) {
+      throw new Error('input_path is required to start a batch');
+    }
+    if (!path.isAbsolute(options.input_path)) {
+      throw new Error('input_path must be an absolute path');
+    }
+
+    const lines = await this.readInput(await resolveAllowedPath(options.input_path));
+    const id = `batch_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date().toISOString();
+    let outputPath = path.join(this.batchDir(id), 'results.jsonl');
+    if (options.output_path) {
+      if (!path.isAbsolute(options.output_path)) {
+        throw new Error('output_path must be an absolute path');
+      }
+      outputPath = await resolveAllowedPath(options.output_path, 'write');
+    }
+
+    const job: BatchJob = {
+      id,
+      status: 'running',
+      input_path: options.input_path,
+      output_path: outputPath,
+      total: lines.length,
+      succeeded: 0,
+      failed: 0,
+      concurrency: Math.min(options.concurrency || DEFAULT_CONCURRENCY, MAX_BATCH_CONCURRENCY),
+      max_retries: options.max_retries ?? DEFAULT_MAX_RETRIES,
+      cost_usd: null,
+      total_tokens: 0,
+      created_at: now,
+      updated_at: now,
+    };
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, '', { flag: 'a' });
+    await this.writeJson(path.join(this.batchDir(id), 'batch.json'), job);
+    await this.writeJson(path.join(this.batchDir(id), 'checkpoint.json'), { done: [] });
+
+    this.start(job, lines, new Set());
+    return job;
+  }
+
+  private async resume(
+    id: string,
+    options: { concurrency?: number; max_retries?: number }
+  ): Promise<BatchJob> {
+    const job = await this.getJob(id);
+    if (!job) {
+      throw new Error(`Batch '${id}' not found`);
+    }
+    if (job.status !== 'interrupted') {
+      throw new Error(`Batch '${id}' is ${job.status}; only interrupted batches can be resumed`);
+    }
+
+    const lines = await this.readInput(job.input_path);
+    if (lines.length !== job.total) {
+      throw new Error(`The input file of batch '${id}' changed since it was submitted`);
+    }
+    const checkpoint = await this.readJson<{ done: number[] }>(
+      path.join(this.batchDir(id), 'checkpoint.json')
+    );
+    // Lines written to the results but not yet checkpointed count as done
+    // too, and the totals are recounted from the results
+    const results = await this.readResults(job.output_path);
+    const done = new Set([...(checkpoint?.done || []), ...results.map((result) => result.line)]);
+
+    const resumed: BatchJob = {
+      ...job,
+      status: 'running',
+      succeeded: 0,
+      failed: 0,
+      cost_usd: null,
+      total_tokens: 0,
+      ...(options.concurrency && { concurrency: Math.min(options.concurrency, MAX_BATCH_CONCURRENCY) }),
+      ...(options.max_retries !== undefined && { max_retries: options.max_retries }),
+      updated_at: new Date().toISOString(),
+    };
+    for (const result of results) {
+      addResult(resumed, result);
+    }
+    await this.writeJson(path.join(this.batchDir(id), 'batch.json'), resumed);
+    this.start(resumed, lines, done);
+    return resumed;
+  }
+
+  /**
+   * Stop a running batch after the items in flight, or mark an interrupted
+   * one as cancelled so it is not resumed. A batch running in another
+   * session's process picks up the request on its next heartbeat.
+   */
+  async cancel(id: string): Promise<BatchJob> {
+    const job = await this.getJob(id);
+    if (!job) {
+      throw new Error(`Batch '${id}' not found`);
+    }
+    const run = this.running.get(id);
+    if (run) {
+      run.cancelled = true;
+      await run.done;
+      return (await this.getJob(id))!;
+    }
+    if (job.status === 'interrupted') {
+      const cancelled: BatchJob = { ...job, status: 'cancelled', updated_at: new Date().toISOString() };
+      await this.writeJson(path.join(this.batchDir(id), 'batch.json'), cancelled);
+      return cancelled;
+    }
+    if (job.status === 'running') {
+      await fs.writeFile(path.join(this.batchDir(id), 'cancel'), '', 'utf-8');
+      return { ...job, cancel_requested: true };
+    }
+    return job;
+  }
+
+  /**
+   * Read a page of a batch's results
+   */
+  async results(id: string, offset = 0, limit = 50): Promise<{ job: BatchJob; results: BatchItemResult[] }> {
+    const job = await this.getJob(id);
+    if (!job) {
+      throw new Error(`Batch '${id}' not found`);
+    }
+    const results = (await this.readResults(job.output_path)).sort((a, b) => a.line - b.line);
+    return { job, results: results.slice(offset, offset + limit) };
+  }
+
+  private async readInput(inputPath: string): Promise<string[]> {
+    let content: string;
+    try {
+      content = await fs.readFile(inputPath, 'utf-8');
+    } catch (error: any) {
+      throw new Error(`Failed to read ${inputPath}: ${error.message}`);
+    }
+    const lines = content.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length === 0) {
+      throw new Error(`${inputPath} contains no requests`);
+    }
+    if (lines.length > MAX_BATCH_ITEMS) {
+      throw new Error(`${inputPath} has ${lines.length} requests; the limit is ${MAX_BATCH_ITEMS}`);
+    }
+    return lines;
+  }
+
+  private async readResults(outputPath: string): Promise<BatchItemResult[]> {
+    let content: string;
+    try {
+      content = await fs.readFile(outputPath, 'utf-8');
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    // A crash can leave the last line half written
+    return content
+      .split('\n')
+      .filter((line) => line.trim() !== '')
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line) as BatchItemResult];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  private start(job: BatchJob, lines: string[], done: Set<number>) {
+    const run = { cancelled: false, done: Promise.resolve() };
+    run.done = this.run(job, lines, done, run).catch((error) => {
+      console.error(`Batch ${job.id} failed:`, error);
+    });
+    this.running.set(job.id, run);
+  }
+
+  private async run(
+    job: BatchJob,
+    lines: string[],
+    done: Set<number>,
+    run: { cancelled: boolean }
+  ): Promise<void> {
+    const pending = lines.map((_, index) => index + 1).filter((line) => !done.has(line));
+    console.error(`Batch ${job.id}: ${pending.length} of ${lines.length} items to run`);
+
+    // Writes to the results, checkpoint and job record are serialized
+    let writes = Promise.resolve();
+    const heartbeat = setInterval(() => {
+      writes = writes
+        .then(async () => {
+          try {
+            await fs.access(path.join(this.batchDir(job.id), 'cancel'));
+            run.cancelled = true;
+          } catch {
+            // No cancel request
+          }
+          job.updated_at = new Date().toISOString();
+          await this.writeJson(path.join(this.batchDir(job.id), 'batch.json'), job);
+        })
+        .catch((error) => console.error(`Batch ${job.id} heartbeat failed:`, error));
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    const record = (result: BatchItemResult) => {
+      writes = writes.then(async () => {
+        await fs.appendFile(job.output_path, `${JSON.stringify(result)}\n`, 'utf-8');
+        done.add(result.line);
+        addResult(job, result);
+        job.updated_at = new Date().toISOString();
+        await this.writeJson(path.join(this.batchDir(job.id), 'checkpoint.json'), { done: [...done] });
+        await this.writeJson(path.join(this.batchDir(job.id), 'batch.json'), job);
+      });
+      return writes;
+    };
+
+    try {
+      await mapWithConcurrency(pending, job.concurrency, async (line) => {
+        if (run.cancelled) return;
+        await record(await this.runLine(lines[line - 1], line, job.max_retries));
+      });
+    } finally {
+      clearInterval(heartbeat);
+      // If results could not be recorded (e.g. a full disk), the batch is
+      // left interrupted so it can be resumed from what was written
+      let recorded = true;
+      try {
+        await writes;
+      } catch (error) {
+        recorded = false;
+        console.error(`Batch ${job.id}: failed to record results:`, error);
+      }
+      try {
+        await fs.rm(path.join(this.batchDir(job.id), 'cancel'), { force: true });
+        const now = new Date().toISOString();
+        job.status = !recorded ? 'interrupted' : run.cancelled ? 'cancelled' : 'completed';
+        job.updated_at = now;
+        if (recorded) job.finished_at = now;
+        await this.writeJson(path.join(this.batchDir(job.id), 'batch.json'), job);
+      } catch (error) {
+        // The record still says running; it reads as interrupted once its heartbeat is stale
+        console.error(`Batch ${job.id}: failed to write its final status:`, error);
+      } finally {
+        this.running.delete(job.id);
+      }
+      console.error(`Batch ${job.id} ${job.status}: ${job.succeeded} succeeded, ${job.failed} failed`);
+    }
+  }
+
+  /**
+   * Run one line, retrying failures with exponential backoff. Invalid
+   * requests are not retried.
+   */
+  private async runLine(text: string, line: number, maxRetries: number): Promise<BatchItemResult> {
+    let item: Record<string, any>;
+    let type: BatchItemType;
+    try {
+      item = JSON.parse(text);
+      type = getItemType(item);
+    } catch (error: any) {
+      return { line, status: 'error', error: `Invalid request: ${error.message}`, attempts: 0 };
+    }
+    const { id, type: _type, ...fields } = item;
+    const parsed = this.itemSchemas[type].safeParse(fields);
+    if (!parsed.success) {
+      const problems = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'request'}: ${issue.message}`);
+      return {
+        line,
+        ...(id !== undefined && { id: String(id) }),
+        type,
+        status: 'error',
+        error: `Invalid request: ${problems.join('; ')}`,
+        attempts: 0,
+      };
+    }
+    const args: Record<string, any> = parsed.data;
+
+    let attempts = 0;
+    let lastError = '';
+    let lastUsage: unknown;
+    while (attempts <= maxRetries) {
+      if (attempts > 0) {
+        await sleep(RETRY_DELAY * 2 ** (attempts - 1));
+      }
+      attempts++;
+      try {
+        const result = await this.runItem(type, args);
+        const output = result.content.map((part) => part.text || '').join('\n\n');
+        if (!result.isError) {
+          return {
+            line,
+            ...(id !== undefined && { id: String(id) }),
+            type,
+            status: 'ok',
+            output,
+            ...(result.structuredContent !== undefined && { structured_content: result.structuredContent }),
+            attempts,
+            usage: result.metadata?.usage,
+          };
+        }
+        lastError = output;
+        lastUsage = result.metadata?.usage;
+      } catch (error: any) {
+        lastError = error.message || String(error);
+        if (error instanceof McpError) break;
+      }
+    }
+    return {
+      line,
+      ...(id !== undefined && { id: String(id) }),
+      type,
+      status: 'error',
+      error: lastError,
+      attempts,
+      ...(lastUsage !== undefined && { usage: lastUsage }),
+    };
+  }
+}
+
+/**
+ * Create the batch manager for an API key. Batches are namespaced like
+ * conversations, under BATCH_DIR (default ~/.openrouter-mcp/<namespace>/batches).
+ */
+export function createBatchManager(
+  apiKey: string,
+  runItem: BatchItemRunner,
+  itemSchemas: BatchItemSchemas
+): BatchManager {
+  const namespace = crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+  const rootDir = process.env.BATCH_DIR
+    ? path.join(process.env.BATCH_DIR, namespace)
+    : path.join(os.homedir(), '.openrouter-mcp', namespace, 'batches');
+  return new BatchManager(rootDir, runItem, itemSchemas);
+}
@@ -0,0 +1,493 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions.js';
+import { getRedisClient, isRedisEnabled, RedisClient } from './utils/redis.js';
+
+// Stored images, files and audio are referenced as asset://<sha256> instead of inline base64
+const ASSET_SCHEME = 'asset://';
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const TITLE_LENGTH = 80;
+
+export interface Conversation {
+  id: string;
+  title: string;
+  model?: string;
+  forked_from?: string;
+  created_at: string;
+  updated_at: string;
+  messages: ChatCompletionMessageParam[];
+}
+
+export interface ConversationSummary {
+  id: string;
+  title: string;
+  model?: string;
+  forked_from?: string;
+  message_count: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface StoredAsset {
+  mime_type: string;
+  data: string; // base64
+}
+
+/**
+ * Check a conversation ID before it is used as a file name or key
+ */
+export function isValidConversationId(id: string): boolean {
+  return CONVERSATION_ID_PATTERN.test(id);
+}
+
+/**
+ * Derive a short title from the first user message
+ */
+function deriveTitle(messages: ChatCompletionMessageParam[]): string {
+  for (const message of messages) {
+    // Content may be null or left out, which the chat schema allows
+    if (message.role !== 'user' || !message.content) continue;
+    const text = typeof message.content === 'string'
+      ? message.content
+      : message.content.map((part) => (part.type === 'text' ? part.text : '')).join(' ');
+    const title = text.replace(/\s+/g, ' ').trim();
+    if (title) {
+      return title.length > TITLE_LENGTH ? `${title.substring(0, TITLE_LENGTH - 3)}...` : title;
+    }
+  }
+  return 'Untitled conversation';
+}
+
+function summarize(conversation: Conversation): ConversationSummary {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    model: conversation.model,
+    forked_from: conversation.forked_from,
+    message_count: conversation.messages.length,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+  };
+}
+
+/**
+ * The URL or data of an image, file or audio part, which may be stored as an
+ * asset. Audio parts carry bare base64, so they are read as a data URL.
+ */
+function getPartData(part: any): string | undefined {
+  if (part.type === 'image_url') return part.image_url?.url;
+  if (part.type === 'file') return part.file?.file_data;
+  if (part.type === 'input_audio') {
+    const data: string | undefined = part.input_audio?.data;
+    return data && !data.startsWith(ASSET_SCHEME) ? `data:audio/${part.input_audio.format};base64,${data}` : data;
+  }
+  return undefined;
+}
+
+function setPartData(part: any, data: string) {
+  if (part.type === 'input_audio') {
+    return { ...part, input_audio: { ...part.input_audio, data: data.replace(/^data:[^,]*,/, '') } };
+  }
+  return part.type === 'file'
+    ? { ...part, file: { ...part.file, file_data: data } }
+    : { ...part, image_url: { ...part.image_url, url: data } };
+}
+
+/**
+ * Collect the asset hashes referenced by a conversation's images, files and audio
+ */
+function referencedAssets(messages: ChatCompletionMessageParam[]): Set<string> {
+  const hashes = new Set<string>();
+  for (const message of messages) {
+    if (!Array.isArray(message.content)) continue;
+    for (const part of message.content) {
+      const data = getPartData(part);
+      if (data?.startsWith(ASSET_SCHEME)) {
+        hashes.add(data.substring(ASSET_SCHEME.length));
+      }
+    }
+  }
+  return hashes;
+}
+
+/**
+ * Persists chat conversations so clients only need to send the newest turn.
+ * Images, files and audio are stored once by content hash and referenced from messages.
+ * Subclasses provide the raw record and asset storage.
+ */
+export abstract class ConversationStore {
+  protected abstract readRecord(id: string): Promise<Conversation | null>;
+  protected abstract writeRecord(conversation: Conversation): Promise<void>;
+  protected abstract deleteRecord(id: string): Promise<boolean>;
+  protected abstract listRecords(): Promise<Conversation[]>;
+  protected abstract readAsset(hash: string): Promise<StoredAsset | null>;
+  protected abstract writeAsset(hash: string, asset: StoredAsset): Promise<void>;
+  protected abstract deleteAsset(hash: string): Promise<void>;
+
+  // The last pending update of each conversation, so updates in this process
+  // run one at a time instead of overwriting each other's messages
+  private updates = new Map<string, Promise<unknown>>();
+
+  /**
+   * Generate an ID for a new conversation
+   */
+  public createId(): string {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Get a conversation. With resolveImages, asset references are turned back
+   * into data URLs so the messages can be sent to a model.
+   */
+  public async getConversation(
+    id: string,
+    options: { resolveImages?: boolean } = {}
+  ): Promise<Conversation | null> {
+    if (!isValidConversationId(id)) return null;
+    const conversation = await this.readRecord(id);
+    if (!conversation || !options.resolveImages) return conversation;
+
+    return {
+      ...conversation,
+      messages: await Promise.all(conversation.messages.map((message) => this.resolveImages(message))),
+    };
+  }
+
+  /**
+   * Append messages to a conversation, creating it if it does not exist yet
+   */
+  public async appendMessages(
+    id: string,
+    messages: ChatCompletionMessageParam[],
+    model?: string
+  ): Promise<Conversation> {
+    if (!isValidConversationId(id)) {
+      throw new Error(`Invalid conversation_id: ${id}`);
+    }
+
+    // A message may carry the same image more than once; each asset is written once
+    const assetWrites = new Map<string, Promise<void>>();
+    const storedMessages = await Promise.all(messages.map((message) => this.storeImages(message, assetWrites)));
+    return this.serialize(id, async () => {
+      const now = new Date().toISOString();
+      const existing = await this.readRecord(id);
+      const conversation: Conversation = existing
+        ? { ...existing, messages: [...existing.messages, ...storedMessages], updated_at: now }
+        : { id, title: deriveTitle(storedMessages), created_at: now, updated_at: now, messages: storedMessages };
+      if (model) conversation.model = model;
+
+      await this.writeRecord(conversation);
+      return conversation;
+    });
+  }
+
+  /**
+   * Run an update of a conversation after the ones already queued for it
+   */
+  private async serialize<T>(id: string, update: () => Promise<T>): Promise<T> {
+    const previous = this.updates.get(id) || Promise.resolve();
+    const current = previous.catch(() => undefined).then(update);
+    this.updates.set(id, current);
+    try {
+      return await current;
+    } finally {
+      if (this.updates.get(id) === current) {
+        this.updates.delete(id);
+      }
+    }
+  }
+
+  /**
+   * List conversations, most recently updated first
+   */
+  public async listConversations(): Promise<ConversationSummary[]> {
+    const conversations = await this.listRecords();
+    return conversations
+      .map(summarize)
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  }
+
+  /**
+   * Copy a conversation, optionally keeping only its first `messageCount` messages
+   */
+  public async forkConversation(id: string, messageCount?: number): Promise<Conversation | null> {
+    const source = await this.getConversation(id);
+    if (!source) return null;
+
+    const now = new Date().toISOString();
+    const fork: Conversation = {
+      ...source,
+      id: this.createId(),
+      title: `${source.title} (fork)`,
+      forked_from: source.id,
+      created_at: now,
+      updated_at: now,
+      messages: source.messages.slice(0, messageCount ?? source.messages.length),
+    };
+    await this.writeRecord(fork);
+    return fork;
+  }
+
+  /**
+   * Delete a conversation and any images or files no other conversation references
+   */
+  public async deleteConversation(id: string): Promise<boolean> {
+    const conversation = await this.getConversation(id);
+    if (!conversation) return false;
+
+    const deleted = await this.serialize(id, () => this.deleteRecord(id));
+    const candidates = referencedAssets(conversation.messages);
+    if (candidates.size > 0) {
+      for (const other of await this.listRecords()) {
+        for (const hash of referencedAssets(other.messages)) {
+          candidates.delete(hash);
+        }
+      }
+      await Promise.all([...candidates].map((hash) => this.deleteAsset(hash)));
+    }
+    return deleted;
+  }
+
+  /**
+   * Get a stored image or file as a data URL
+   */
+  public async getAssetDataUrl(hash: string): Promise<string | null> {
+    if (!/^[a-f0-9]{64}$/.test(hash)) return null;
+    const asset = await this.readAsset(hash);
+    return asset ? `data:${asset.mime_type};base64,${asset.data}` : null;
+  }
+
+  /**
+   * Replace inline images, files and audio with asset references
+   */
+  private async storeImages(
+    message: ChatCompletionMessageParam,
+    assetWrites: Map<string, Promise<void>>
+  ): Promise<ChatCompletionMessageParam> {
+    if (!Array.isArray(message.content)) return message;
+
+    const content = await Promise.all(
+      message.content.map(async (part: any) => {
+        const match = getPartData(part)?.match(/^data:([^;]+);base64,(.+)$/);
+        if (!match) return part;
+
+        const hash = crypto.createHash('sha256').update(Buffer.from(match[2], 'base64')).digest('hex');
+        if (!assetWrites.has(hash)) {
+          assetWrites.set(hash, (async () => {
+            if (!(await this.readAsset(hash))) {
+              await this.writeAsset(hash, { mime_type: match[1], data: match[2] });
+            }
+          })());
+        }
+        await assetWrites.get(hash);
+        return setPartData(part, `${ASSET_SCHEME}${hash}`);
+      })
+    );
+    return { ...message, content } as ChatCompletionMessageParam;
+  }
+
+  /**
+   * Replace asset references with data URLs
+   */
+  private async resolveImages(message: ChatCompletionMessageParam): Promise<ChatCompletionMessageParam> {
+    if (!Array.isArray(message.content)) return message;
+
+    const content = await Promise.all(
+      message.content.map(async (part: any) => {
+        const url = getPartData(part);
+        if (!url?.startsWith(ASSET_SCHEME)) return part;
+
+        const dataUrl = await this.getAssetDataUrl(url.substring(ASSET_SCHEME.length));
+        if (!dataUrl) {
+          const kind = part.type === 'file' ? 'file' : part.type === 'input_audio' ? 'audio' : 'image';
+          return { type: 'text', text: `[${kind} no longer available]` };
+        }
+        return setPartData(part, dataUrl);
+      })
+    );
+    return { ...message, content } as ChatCompletionMessageParam;
+  }
+}
+
+/**
+ * Stores conversations as JSON files under a directory
+ */
+export class FileConversationStore extends ConversationStore {
+  private conversationsDir: string;
+  private assetsDir: string;
+
+  constructor(rootDir: string) {
+    super();
+    this.conversationsDir = path.join(rootDir, 'conversations');
+    this.assetsDir = path.join(rootDir, 'assets');
+  }
+
+  protected async readRecord(id: string): Promise<Conversation | null> {
+    return this.readJson<Conversation>(path.join(this.conversationsDir, `${id}.json`));
+  }
+
+  protected async writeRecord(conversation: Conversation): Promise<void> {
+    await this.writeJson(path.join(this.conversationsDir, `${conversation.id}.json`), conversation);
+  }
+
+  protected async deleteRecord(id: string): Promise<boolean> {
+    try {
+      await fs.unlink(path.join(this.conversationsDir, `${id}.json`));
+      return true;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  protected async listRecords(): Promise<Conversation[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.conversationsDir);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const conversations = await Promise.all(
+      files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => this.readJson<Conversation>(path.join(this.conversationsDir, file)))
+    );
+    return conversations.filter((conversation): conversation is Conversation => conversation !== null);
+  }
+
+  protected async readAsset(hash: string): Promise<StoredAsset | null> {
+    return this.readJson<StoredAsset>(path.join(this.assetsDir, `${hash}.json`));
+  }
+
+  protected async writeAsset(hash: string, asset: StoredAsset): Promise<void> {
+    await this.writeJson(path.join(this.assetsDir, `${hash}.json`), asset);
+  }
+
+  protected async deleteAsset(hash: string): Promise<void> {
+    await fs.rm(path.join(this.assetsDir, `${hash}.json`), { force: true });
+  }
+
+  private async readJson<T>(filePath: string): Promise<T | null> {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8')) as T;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated record
+  private async writeJson(filePath: string, value: unknown): Promise<void> {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Unique per write, so concurrent writes of the same file cannot rename each other's
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(value), 'utf-8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Stores conversations in Redis so every gateway replica sees them
+ */
+export class RedisConversationStore extends ConversationStore {
+  private prefix: string;
+
+  constructor(namespace: string) {
+    super();
+    this.prefix = `openrouter-mcp:${namespace}`;
+  }
+
+  private async client(): Promise<RedisClient> {
+    const client = await getRedisClient();
+    if (!client) {
+      throw new Error('REDIS_URL is not set');
+    }
+    return client;
+  }
+
+  private conversationKey(id: string): string {
+    return `${this.prefix}:conversation:${id}`;
+  }
+
+  private assetKey(hash: string): string {
+    return `${this.prefix}:asset:${hash}`;
+  }
+
+  private get indexKey(): string {
+    return `${this.prefix}:conversations`;
+  }
+
+  protected async readRecord(id: string): Promise<Conversation | null> {
+    const value = await (await this.client()).get(this.conversationKey(id));
+    return value ? (JSON.parse(value) as Conversation) : null;
+  }
+
+  protected async writeRecord(conversation: Conversation): Promise<void> {
+    const client = await this.client();
+    await client
+      .multi()
+      .set(this.conversationKey(conversation.id), JSON.stringify(conversation))
+      .sAdd(this.indexKey, conversation.id)
+      .exec();
+  }
+
+  protected async deleteRecord(id: string): Promise<boolean> {
+    const client = await this.client();
+    const [deleted] = await client
+      .multi()
+      .del(this.conversationKey(id))
+      .sRem(this.indexKey, id)
+      .exec();
+    return Number(deleted) > 0;
+  }
+
+  protected async listRecords(): Promise<Conversation[]> {
+    const client = await this.client();
+    const ids = await client.sMembers(this.indexKey);
+    if (ids.length === 0) return [];
+
+    const values = await client.mGet(ids.map((id) => this.conversationKey(id)));
+    return values
+      .filter((value): value is string => !!value)
+      .map((value) => JSON.parse(value) as Conversation);
+  }
+
+  protected async readAsset(hash: string): Promise<StoredAsset | null> {
+    const value = await (await this.client()).get(this.assetKey(hash));
+    return value ? (JSON.parse(value) as StoredAsset) : null;
+  }
+
+  protected async writeAsset(hash: string, asset: StoredAsset): Promise<void> {
+    await (await this.client()).set(this.assetKey(hash), JSON.stringify(asset));
+  }
+
+  protected async deleteAsset(hash: string): Promise<void> {
+    await (await this.client()).del(this.assetKey(hash));
+  }
+}
+
+/**
+ * Create the conversation store for an API key. Conversations are namespaced
+ * by a hash of the key so users sharing the gateway never see each other's
+ * history. Uses Redis when REDIS_URL is set, else files under
+ * CONVERSATION_STORE_DIR (default ~/.openrouter-mcp).
+ */
+export function createConversationStore(apiKey: string): ConversationStore {
+  const namespace = crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+
+  if (isRedisEnabled()) {
+    return new RedisConversationStore(namespace);
+  }
+
+  const rootDir = process.env.CONVERSATION_STORE_DIR || path.join(os.homedir(), '.openrouter-mcp');
+  return new FileConversationStore(path.join(rootDir, namespace));
+}
@@ -3,6 +3,7 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { registerTools } from "./tools/register-tools.js";
+import { watchClientRoots } from "./utils/file-access.js";
 
 const DEFAULT_MODEL = "qwen/qwen2.5-vl-32b-instruct:free";
 
@@ -29,6 +30,9 @@ const server = new McpServer({
     // Register all tools
     registerTools(server, apiKey, defaultModel);
 
+    // Local file access follows the roots the client announces
+    watchClientRoots(server.server);
+
     const transport = new StdioServerTransport();
     await server.connect(transport);
 
@@ -6,6 +6,7 @@ export class ModelCache {
   private models: Record<string, any>;
   private lastFetchTime: number;
   private cacheExpiryTime: number; // in milliseconds (1 hour = 3600000)
+  private loadingPromise: Promise<void> | null = null;
 
   private constructor() {
     this.models = {};
@@ -44,6 +45,26 @@ export class ModelCache {
     this.lastFetchTime = Date.now();
   }
 
+  /**
+   * Populate the cache with the given loader if it is empty or expired.
+   * Concurrent callers share one request; failures are logged, not thrown.
+   */
+  public async ensureModels(loadModels: () => Promise<any[]>): Promise<void> {
+    if (this.isCacheValid()) return;
+
+    if (!this.loadingPromise) {
+      this.loadingPromise = loadModels()
+        .then((models) => this.setModels(models))
+        .catch((error) => {
+          console.error('Failed to load model list for cache:', error);
+        })
+        .finally(() => {
+          this.loadingPromise = null;
+        });
+    }
+    await this.loadingPromise;
+  }
+
   /**
    * Get all cached models
    */
@@ -0,0 +1,522 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { getRedisClient, isRedisEnabled, RedisClient } from './utils/redis.js';
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 512 * 1024 * 1024;
+// Other sessions write to the same cache, so the eviction index is
+// rebuilt from storage this often
+const INDEX_REFRESH_MS = 60 * 1000;
+
+/**
+ * "use" answers from the cache when it can, "refresh" always calls the model
+ * and overwrites the entry, "bypass" neither reads nor writes the cache
+ */
+export type CacheMode = 'use' | 'refresh' | 'bypass';
+
+export type CacheStatus = 'hit' | 'miss' | 'refreshed' | 'bypassed' | 'not_cacheable';
+
+export interface CacheEntry {
+  key: string;
+  model?: string;
+  created_at: string;
+  expires_at: string;
+  value: unknown;
+}
+
+export interface CacheEntrySummary {
+  key: string;
+  model?: string;
+  created_at: string;
+  expires_at: string;
+  size_bytes: number;
+}
+
+export interface CacheOptions {
+  ttlSeconds?: number;
+  maxEntries?: number;
+  maxBytes?: number;
+}
+
+/**
+ * How a single call used the cache, reported in tool metadata
+ */
+export interface CacheReport {
+  status: CacheStatus;
+  key?: string;
+  created_at?: string;
+}
+
+// Each MCP session runs in its own process, so these counters are per session
+const sessionStats = { hits: 0, misses: 0, writes: 0 };
+
+/**
+ * The cache mode used when a call does not set one. Caching is opt-in:
+ * OPENROUTER_RESPONSE_CACHE=use turns it on for every call.
+ */
+export function getDefaultCacheMode(): CacheMode {
+  const mode = process.env.OPENROUTER_RESPONSE_CACHE;
+  return mode === 'use' || mode === 'refresh' ? mode : 'bypass';
+}
+
+/**
+ * Only requests that should give the same answer every time are cached
+ */
+export function isCacheable(params: Record<string, any>): boolean {
+  return params.temperature === 0 || typeof params.seed === 'number';
+}
+
+/**
+ * Replace inline base64 data with its content hash, so the key stays small
+ * and identical images hash the same however they were sent
+ */
+function normalizeForKey(value: unknown): unknown {
+  if (typeof value === 'string') {
+    const match = value.match(/^data:([^;,]+)[^,]*;base64,(.+)$/);
+    if (match) {
+      return `${match[1]}:sha256:${crypto.createHash('sha256').update(Buffer.from(match[2], 'base64')).digest('hex')}`;
+    }
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeForKey);
+  }
+  if (value && typeof value === 'object') {
+    const record = value as Record<string, unknown>;
+    // Audio parts carry bare base64 rather than a data URL
+    if (typeof (record.input_audio as any)?.data === 'string') {
+      const audio = record.input_audio as { data: string; format?: string };
+      return {
+        ...record,
+        input_audio: {
+          format: audio.format,
+          data: `sha256:${crypto.createHash('sha256').update(audio.data).digest('hex')}`,
+        },
+      };
+    }
+    // Sorted keys, so property order does not change the key
+    return Object.fromEntries(
+      Object.keys(record)
+        .filter((key) => record[key] !== undefined)
+        .sort()
+        .map((key) => [key, normalizeForKey(record[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Hash of everything that shapes the answer: model, messages and sampling,
+ * tool and routing parameters. Streaming and usage options are left out.
+ */
+export function computeCacheKey(params: Record<string, any>): string {
+  const { stream, stream_options, usage, ...request } = params;
+  return crypto.createHash('sha256').update(JSON.stringify(normalizeForKey(request))).digest('hex');
+}
+
+/**
+ * Caches deterministic completions so identical requests (evaluation
+ * reruns) do not spend credits twice. Subclasses provide the storage.
+ */
+export abstract class ResponseCache {
+  protected readonly ttlSeconds: number;
+  protected readonly maxEntries: number;
+  protected readonly maxBytes: number;
+
+  // Expiry and size of each entry, oldest first, so eviction does not have
+  // to read the whole cache on every write
+  private index?: Map<string, { expires_at: number; size_bytes: number }>;
+  private indexBytes = 0;
+  private indexBuiltAt = 0;
+
+  constructor(options: CacheOptions = {}) {
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  }
+
+  abstract readonly backend: 'file' | 'redis';
+
+  protected abstract readEntry(key: string): Promise<CacheEntry | null>;
+  // Returns the stored size in bytes
+  protected abstract writeEntry(entry: CacheEntry): Promise<number>;
+  protected abstract deleteEntry(key: string): Promise<void>;
+  protected abstract listEntries(): Promise<CacheEntrySummary[]>;
+  // Key, dates and size of every entry, without reading the values
+  protected abstract scanEntries(): Promise<CacheEntrySummary[]>;
+
+  /**
+   * Answer from the cache or compute and store the value, depending on the
+   * mode. Cache failures are logged and never fail the call.
+   */
+  async run<T>(
+    params: Record<string, any>,
+    mode: CacheMode,
+    compute: () => Promise<T>
+  ): Promise<{ value: T; cached: boolean; report: CacheReport }> {
+    if (mode === 'bypass') {
+      return { value: await compute(), cached: false, report: { status: 'bypassed' } };
+    }
+    if (!isCacheable(params)) {
+      return { value: await compute(), cached: false, report: { status: 'not_cacheable' } };
+    }
+
+    const key = computeCacheKey(params);
+    if (mode === 'use') {
+      const entry = await this.get(key);
+      if (entry) {
+        sessionStats.hits++;
+        return {
+          value: entry.value as T,
+          cached: true,
+          report: { status: 'hit', key, created_at: entry.created_at },
+        };
+      }
+      sessionStats.misses++;
+    }
+
+    const value = await compute();
+    const now = new Date();
+    const expiresAt = now.getTime() + this.ttlSeconds * 1000;
+    try {
+      const size = await this.writeEntry({
+        key,
+        model: params.model,
+        created_at: now.toISOString(),
+        expires_at: new Date(expiresAt).toISOString(),
+        value,
+      });
+      sessionStats.writes++;
+      await this.evict(key, expiresAt, size);
+    } catch (error) {
+      console.error('Failed to write response cache entry:', error);
+    }
+    return {
+      value,
+      cached: false,
+      report: { status: mode === 'refresh' ? 'refreshed' : 'miss', key },
+    };
+  }
+
+  async get(key: string): Promise<CacheEntry | null> {
+    try {
+      const entry = await this.readEntry(key);
+      if (entry && Date.parse(entry.expires_at) <= Date.now()) {
+        await this.remove(key);
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      console.error('Failed to read response cache entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Unexpired entries, newest first
+   */
+  async list(): Promise<CacheEntrySummary[]> {
+    const now = Date.now();
+    const entries = await this.listEntries();
+    return entries
+      .filter((entry) => Date.parse(entry.expires_at) > now)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Delete all entries, or only those for one model. Returns how many were
+   * deleted.
+   */
+  async clear(model?: string): Promise<number> {
+    const entries = (await this.listEntries()).filter((entry) => !model || entry.model === model);
+    await Promise.all(entries.map((entry) => this.remove(entry.key)));
+    return entries.length;
+  }
+
+  async stats() {
+    const entries = await this.list();
+    return {
+      backend: this.backend,
+      default_mode: getDefaultCacheMode(),
+      entries: entries.length,
+      size_bytes: entries.reduce((total, entry) => total + entry.size_bytes, 0),
+      max_entries: this.maxEntries,
+      max_bytes: this.maxBytes,
+      ttl_seconds: this.ttlSeconds,
+      session: { ...sessionStats },
+    };
+  }
+
+  private async remove(key: string): Promise<void> {
+    await this.deleteEntry(key);
+    const indexed = this.index?.get(key);
+    if (indexed) {
+      this.index!.delete(key);
+      this.indexBytes -= indexed.size_bytes;
+    }
+  }
+
+  private async loadIndex(): Promise<Map<string, { expires_at: number; size_bytes: number }>> {
+    if (this.index && Date.now() - this.indexBuiltAt < INDEX_REFRESH_MS) {
+      return this.index;
+    }
+    const entries = (await this.scanEntries()).sort((a, b) => a.created_at.localeCompare(b.created_at));
+    this.index = new Map(
+      entries.map((entry) => [entry.key, { expires_at: Date.parse(entry.expires_at), size_bytes: entry.size_bytes }])
+    );
+    this.indexBytes = entries.reduce((total, entry) => total + entry.size_bytes, 0);
+    this.indexBuiltAt = Date.now();
+    return this.index;
+  }
+
+  // Record a new entry, then drop expired entries and the oldest ones beyond
+  // maxEntries or maxBytes. The entry just written is never dropped.
+  private async evict(key: string, expiresAt: number, size: number): Promise<void> {
+    const index = await this.loadIndex();
+    const previous = index.get(key);
+    if (previous) {
+      index.delete(key);
+      this.indexBytes -= previous.size_bytes;
+    }
+    index.set(key, { expires_at: expiresAt, size_bytes: size });
+    this.indexBytes += size;
+
+    const now = Date.now();
+    for (const [oldest, { expires_at }] of index) {
+      const over = index.size > this.maxEntries || this.indexBytes > this.maxBytes;
+      if (oldest === key || (!over && expires_at > now)) break;
+      await this.remove(oldest);
+    }
+  }
+}
+
+/**
+ * Stores cache entries as JSON files under a directory
+ */
+export class FileResponseCache extends ResponseCache {
+  readonly backend = 'file';
+  private dir: string;
+
+  constructor(dir: string, options?: CacheOptions) {
+    super(options);
+    this.dir = dir;
+  }
+
+  private entryPath(key: string): string {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  protected async readEntry(key: string): Promise<CacheEntry | null> {
+    try {
+      return JSON.parse(await fs.readFile(this.entryPath(key), 'utf-8')) as CacheEntry;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated entry
+  protected async writeEntry(entry: CacheEntry): Promise<number> {
+    await fs.mkdir(this.dir, { recursive: true });
+    const filePath = this.entryPath(entry.key);
+    // Unique per write, so concurrent misses for the same key cannot rename each other's
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const content = JSON.stringify(entry);
+    try {
+      await fs.writeFile(tempPath, content, 'utf-8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+    return Buffer.byteLength(content);
+  }
+
+  protected async deleteEntry(key: string): Promise<void> {
+    await fs.rm(this.entryPath(key), { force: true });
+  }
+
+  protected async listEntries(): Promise<CacheEntrySummary[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = await Promise.all(
+      files
+        .filter((file) => file.endsWith('.json'))
+        .map(async (file) => {
+          try {
+            const content = await fs.readFile(path.join(this.dir, file), 'utf-8');
+            const entry = JSON.parse(content) as CacheEntry;
+            const summary: CacheEntrySummary = {
+              key: entry.key,
+              model: entry.model,
+              created_at: entry.created_at,
+              expires_at: entry.expires_at,
+              size_bytes: Buffer.byteLength(content),
+            };
+            return summary;
+          } catch {
+            // Deleted or being written concurrently
+            return null;
+          }
+        })
+    );
+    return entries.filter((entry): entry is CacheEntrySummary => entry !== null);
+  }
+
+  // Entries are written once and never modified, so a file's mtime is its
+  // creation time
+  protected async scanEntries(): Promise<CacheEntrySummary[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = await Promise.all(
+      files
+        .filter((file) => file.endsWith('.json'))
+        .map(async (file) => {
+          try {
+            const stat = await fs.stat(path.join(this.dir, file));
+            const summary: CacheEntrySummary = {
+              key: file.slice(0, -'.json'.length),
+              created_at: stat.mtime.toISOString(),
+              expires_at: new Date(stat.mtimeMs + this.ttlSeconds * 1000).toISOString(),
+              size_bytes: stat.size,
+            };
+            return summary;
+          } catch {
+            // Deleted concurrently
+            return null;
+          }
+        })
+    );
+    return entries.filter((entry): entry is CacheEntrySummary => entry !== null);
+  }
+}
+
+/**
+ * Stores cache entries in Redis, expiring them with the TTL. A hash of entry
+ * summaries is kept for listing and eviction.
+ */
+export class RedisResponseCache extends ResponseCache {
+  readonly backend = 'redis';
+  private prefix: string;
+
+  constructor(namespace: string, options?: CacheOptions) {
+    super(options);
+    this.prefix = `openrouter-mcp:${namespace}`;
+  }
+
+  private async client(): Promise<RedisClient> {
+    const client = await getRedisClient();
+    if (!client) {
+      throw new Error('REDIS_URL is not set');
+    }
+    return client;
+  }
+
+  private entryKey(key: string): string {
+    return `${this.prefix}:response-cache:${key}`;
+  }
+
+  private get indexKey(): string {
+    return `${this.prefix}:response-cache`;
+  }
+
+  protected async readEntry(key: string): Promise<CacheEntry | null> {
+    const value = await (await this.client()).get(this.entryKey(key));
+    return value ? (JSON.parse(value) as CacheEntry) : null;
+  }
+
+  protected async writeEntry(entry: CacheEntry): Promise<number> {
+    const value = JSON.stringify(entry);
+    const summary: CacheEntrySummary = {
+      key: entry.key,
+      model: entry.model,
+      created_at: entry.created_at,
+      expires_at: entry.expires_at,
+      size_bytes: Buffer.byteLength(value),
+    };
+    await (await this.client())
+      .multi()
+      .set(this.entryKey(entry.key), value, { EX: this.ttlSeconds })
+      .hSet(this.indexKey, entry.key, JSON.stringify(summary))
+      .exec();
+    return summary.size_bytes;
+  }
+
+  protected async deleteEntry(key: string): Promise<void> {
+    await (await this.client())
+      .multi()
+      .del(this.entryKey(key))
+      .hDel(this.indexKey, key)
+      .exec();
+  }
+
+  protected async listEntries(): Promise<CacheEntrySummary[]> {
+    const values = await (await this.client()).hVals(this.indexKey);
+    return values.map((value) => JSON.parse(value) as CacheEntrySummary);
+  }
+
+  protected async scanEntries(): Promise<CacheEntrySummary[]> {
+    return this.listEntries();
+  }
+}
+
+function readPositiveInt(value: string | undefined): number | undefined {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Create the response cache for an API key, namespaced like conversations so
+ * users of a shared gateway never get each other's answers. Uses Redis when
+ * REDIS_URL is set, else files under RESPONSE_CACHE_DIR (default
+ * ~/.openrouter-mcp/<namespace>/response-cache). RESPONSE_CACHE_TTL_SECONDS,
+ * RESPONSE_CACHE_MAX_ENTRIES and RESPONSE_CACHE_MAX_BYTES bound it.
+ */
+export function createResponseCache(apiKey: string): ResponseCache {
+  const namespace = crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+  const options = {
+    ttlSeconds: readPositiveInt(process.env.RESPONSE_CACHE_TTL_SECONDS),
+    maxEntries: readPositiveInt(process.env.RESPONSE_CACHE_MAX_ENTRIES),
+    maxBytes: readPositiveInt(process.env.RESPONSE_CACHE_MAX_BYTES),
+  };
+
+  if (isRedisEnabled()) {
+    return new RedisResponseCache(namespace, options);
+  }
+
+  const dir = process.env.RESPONSE_CACHE_DIR
+    ? path.join(process.env.RESPONSE_CACHE_DIR, namespace)
+    : path.join(os.homedir(), '.openrouter-mcp', namespace, 'response-cache');
+  return new FileResponseCache(dir, options);
+}
+
+/**
+ * Run a model call through the cache when there is one. Without a cache the
+ * call is made as is.
+ */
+export async function runCached<T>(
+  cache: ResponseCache | undefined,
+  params: Record<string, any>,
+  mode: CacheMode | undefined,
+  compute: () => Promise<T>
+): Promise<{ value: T; cached: boolean; report?: CacheReport }> {
+  if (!cache) {
+    return { value: await compute(), cached: false };
+  }
+  return cache.run(params, mode || getDefaultCacheMode(), compute);
+}
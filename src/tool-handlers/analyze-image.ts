@@ -1,277 +1,96 @@
-import path from 'path';
-import { promises as fs } from 'fs';
-import fetch from 'node-fetch';
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import OpenAI from 'openai';
-import { findSuitableFreeModel } from './multi-image-analysis.js';
+import {
+  ChatCompletionContentPart,
+  ChatCompletionMessageParam,
+} from 'openai/resources/chat/completions.js';
+import { resolveVisionModelChain } from './multi-image-analysis.js';
+import { runWithModelFallback } from '../utils/model-fallback.js';
+import { USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import { reasoningContent, splitReasoning } from '../utils/reasoning.js';
+import { ReasoningOptions, SamplingParams } from '../utils/sampling.js';
+import { CacheMode, CacheReport, ResponseCache, runCached } from '../response-cache.js';
+import { createRedactor } from '../utils/redaction.js';
+import { PdfEngine, fileParserPlugins } from '../utils/documents.js';
+import {
+  CropRegion,
+  ImageDetail,
+  ImageTile,
+  TiledImage,
+  loadImageInput,
+  loadImageTiles,
+} from '../utils/image-ingestion.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import {
+  ResponseFormat,
+  checkResponseFormat,
+  completeWithStructuredOutput,
+  isJsonResponseFormat,
+  toStructuredContent,
+} from '../utils/structured-output.js';
 
 // Default model for image analysis
 const DEFAULT_FREE_MODEL = 'qwen/qwen2.5-vl-32b-instruct:free';
 
-let sharp: any;
-try {
-  sharp = require('sharp');
-} catch (e) {
-  console.error('Warning: sharp module not available, using fallback image processing');
-  // Mock implementation that just passes through the base64 data
-  sharp = (buffer: Buffer) => ({
-    metadata: async () => ({ width: 800, height: 600 }),
-    resize: () => ({
-      jpeg: () => ({
-        toBuffer: async () => buffer
-      })
-    }),
-    jpeg: () => ({
-      toBuffer: async () => buffer
-    })
-  });
-}
+// Tiles analyzed at once when tiling
+const TILE_CONCURRENCY = 4;
 
 export interface AnalyzeImageToolRequest {
   image_path: string;
   question?: string;
   model?: string;
+  models?: string[];
+  reasoning?: ReasoningOptions;
+  pdf_engine?: PdfEngine;
+  detail?: ImageDetail;
+  crop?: CropRegion;
+  tile?: boolean;
+  tile_size?: number;
+  tile_overlap?: number;
+  temperature?: number;
+  seed?: number;
+  cache?: CacheMode;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+  response_format?: ResponseFormat;
+  repair_attempts?: number;
 }
 
 /**
- * Normalizes a file path to be OS-neutral
- * Handles Windows backslashes, drive letters, etc.
- */
-function normalizePath(filePath: string): string {
-  // Skip normalization for URLs and data URLs
-  if (filePath.startsWith('http://') || 
-      filePath.startsWith('https://') || 
-      filePath.startsWith('data:')) {
-    return filePath;
-  }
-  
-  // Handle Windows paths and convert them to a format that's usable
-  // First normalize the path according to the OS
-  let normalized = path.normalize(filePath);
-  
-  // Make sure any Windows backslashes are handled
-  normalized = normalized.replace(/\\/g, '/');
-  
-  return normalized;
-}
-
-async function fetchImageAsBuffer(url: string): Promise<Buffer> {
-  try {
-    // Handle data URLs
-    if (url.startsWith('data:')) {
-      const matches = url.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-      if (!matches || matches.length !== 3) {
-        throw new Error('Invalid data URL');
-      }
-      return Buffer.from(matches[2], 'base64');
-    }
-    
-    // Normalize the path before proceeding
-    const normalizedUrl = normalizePath(url);
-    
-    // Handle file URLs
-    if (normalizedUrl.startsWith('file://')) {
-      const filePath = normalizedUrl.replace('file://', '');
-      return await fs.readFile(filePath);
-    }
-    
-    // Handle http/https URLs
-    if (normalizedUrl.startsWith('http://') || normalizedUrl.startsWith('https://')) {
-      const response = await fetch(normalizedUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return Buffer.from(await response.arrayBuffer());
-    }
-    
-    // Handle regular file paths
-    try {
-      return await fs.readFile(normalizedUrl);
-    } catch (error: any) {
-      // Try the original path as a fallback
-      if (normalizedUrl !== url) {
-        try {
-          return await fs.readFile(url);
-        } catch (secondError) {
-          console.error(`Failed to read file with normalized path (${normalizedUrl}) and original path (${url})`);
-          throw error; // Throw the original error
-        }
-      }
-      throw error;
-    }
-  } catch (error) {
-    console.error(`Error fetching image from ${url}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Processes an image with minimal processing when sharp isn't available
+ * Question for one tile, telling the model where the tile sits so partial
+ * views are not mistaken for the whole image
  */
-async function processImageFallback(buffer: Buffer): Promise<string> {
-  try {
-    // Just return the buffer as base64 without processing
-    return buffer.toString('base64');
-  } catch (error) {
-    console.error('Error in fallback image processing:', error);
-    throw error;
-  }
-}
-
-async function processImage(buffer: Buffer): Promise<string> {
-  try {
-    if (typeof sharp !== 'function') {
-      console.warn('Using fallback image processing (sharp not available)');
-      return processImageFallback(buffer);
-    }
-    
-    // Get image metadata
-    let metadata;
-    try {
-      metadata = await sharp(buffer).metadata();
-    } catch (error) {
-      console.warn('Error getting image metadata, using fallback:', error);
-      return processImageFallback(buffer);
-    }
-    
-    // Calculate dimensions to keep base64 size reasonable
-    const MAX_DIMENSION = 800;
-    const JPEG_QUALITY = 80; 
-    
-    if (metadata.width && metadata.height) {
-      const largerDimension = Math.max(metadata.width, metadata.height);
-      if (largerDimension > MAX_DIMENSION) {
-        const resizeOptions = metadata.width > metadata.height
-          ? { width: MAX_DIMENSION }
-          : { height: MAX_DIMENSION };
-        
-        const resizedBuffer = await sharp(buffer)
-          .resize(resizeOptions)
-          .jpeg({ quality: JPEG_QUALITY })
-          .toBuffer();
-        
-        return resizedBuffer.toString('base64');
-      }
-    }
-    
-    // If no resizing needed, just convert to JPEG
-    const jpegBuffer = await sharp(buffer)
-      .jpeg({ quality: JPEG_QUALITY })
-      .toBuffer();
-    
-    return jpegBuffer.toString('base64');
-  } catch (error) {
-    console.error('Error processing image, using fallback:', error);
-    return processImageFallback(buffer);
-  }
+function formatTilePrompt(
+  question: string,
+  tile: ImageTile,
+  tiled: { rows: number; columns: number; width: number; height: number }
+): string {
+  const { left, top, width, height } = tile.region;
+  return [
+    question,
+    `This is tile row ${tile.row + 1} of ${tiled.rows}, column ${tile.column + 1} of ${tiled.columns} ` +
+      `of a ${tiled.width}x${tiled.height} image, covering x ${left}-${left + width} and y ${top}-${top + height}. ` +
+      'Tiles overlap, so content near the edges may also appear in neighbouring tiles. ' +
+      'Answer only from what is visible in this tile, and say so if nothing relevant is visible.'
+  ].join('\n\n');
 }
 
 /**
- * Processes an image from a path or base64 string to a proper base64 format for APIs
+ * Ask for one answer built from the tile answers, read in tile order
  */
-async function prepareImage(imagePath: string): Promise<{ base64: string; mimeType: string }> {
-  try {
-    // Check if already a base64 data URL
-    if (imagePath.startsWith('data:')) {
-      const matches = imagePath.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-      if (!matches || matches.length !== 3) {
-        throw new McpError(ErrorCode.InvalidParams, 'Invalid base64 data URL format');
-      }
-      return { base64: matches[2], mimeType: matches[1] };
-    }
-    
-    // Normalize the path first
-    const normalizedPath = normalizePath(imagePath);
-    
-    // Check if image is a URL
-    if (normalizedPath.startsWith('http://') || normalizedPath.startsWith('https://')) {
-      try {
-        const buffer = await fetchImageAsBuffer(normalizedPath);
-        const processed = await processImage(buffer);
-        return { base64: processed, mimeType: 'image/jpeg' }; // We convert everything to JPEG
-      } catch (error: any) {
-        throw new McpError(ErrorCode.InvalidParams, `Failed to fetch image from URL: ${error.message}`);
-      }
-    }
-    
-    // Handle file paths
-    let absolutePath = normalizedPath;
-    
-    // For local file paths, ensure they are absolute 
-    // Don't check URLs or data URIs
-    if (!normalizedPath.startsWith('data:') && 
-        !normalizedPath.startsWith('http://') && 
-        !normalizedPath.startsWith('https://')) {
-      
-      if (!path.isAbsolute(normalizedPath)) {
-        throw new McpError(ErrorCode.InvalidParams, 'Image path must be absolute');
-      }
-      
-      // For Windows paths that include a drive letter but aren't recognized as absolute
-      // by path.isAbsolute in some environments
-      if (/^[A-Za-z]:/.test(normalizedPath) && !path.isAbsolute(normalizedPath)) {
-        absolutePath = path.resolve(normalizedPath);
-      }
-    }
-
-    try {
-      // Check if the file exists
-      await fs.access(absolutePath);
-    } catch (error) {
-      // Try the original path as a fallback
-      try {
-        await fs.access(imagePath);
-        absolutePath = imagePath; // Use the original path if that works
-      } catch (secondError) {
-        throw new McpError(ErrorCode.InvalidParams, `File not found: ${absolutePath}`);
-      }
-    }
-
-    // Read the file as a buffer
-    let buffer;
-    try {
-      buffer = await fs.readFile(absolutePath);
-    } catch (error) {
-      // Try the original path as a fallback
-      try {
-        buffer = await fs.readFile(imagePath);
-      } catch (secondError) {
-        throw new McpError(ErrorCode.InvalidParams, `Failed to read file: ${absolutePath}`);
-      }
-    }
-    
-    // Determine MIME type from file extension
-    const extension = path.extname(absolutePath).toLowerCase();
-    let mimeType: string;
-    
-    switch (extension) {
-      case '.png':
-        mimeType = 'image/png';
-        break;
-      case '.jpg':
-      case '.jpeg':
-        mimeType = 'image/jpeg';
-        break;
-      case '.webp':
-        mimeType = 'image/webp';
-        break;
-      case '.gif':
-        mimeType = 'image/gif';
-        break;
-      case '.bmp':
-        mimeType = 'image/bmp';
-        break;
-      default:
-        mimeType = 'application/octet-stream';
-    }
-    
-    // Process and optimize the image
-    const processed = await processImage(buffer);
-    return { base64: processed, mimeType };
-  } catch (error) {
-    console.error('Error preparing image:', error);
-    throw error;
-  }
+function formatMergePrompt(question: string, tiles: ImageTile[], answers: string[]): string {
+  const sections = tiles.map((tile, index) =>
+    `### Tile row ${tile.row + 1}, column ${tile.column + 1}\n\n${answers[index]}`
+  );
+  return [
+    'An image was split into overlapping tiles and each tile was analyzed separately. ' +
+      'Combine the tile answers below into one answer to the question, as if you had seen the whole image. ' +
+      'Tiles are listed left to right, top to bottom. Content near tile edges may be reported twice; ' +
+      'report it once. Leave out tiles that found nothing relevant.',
+    `## Question\n\n${question}`,
+    '## Tile answers',
+    ...sections
+  ].join('\n\n');
 }
 
 /**
@@ -280,75 +99,162 @@ async function prepareImage(imagePath: string): Promise<{ base64: string; mimeTy
 export async function handleAnalyzeImage(
   request: { params: { arguments: AnalyzeImageToolRequest } },
   openai: OpenAI,
-  defaultModel?: string
+  defaultModel?: string,
+  responseCache?: ResponseCache
 ) {
   const args = request.params.arguments;
+  const usage = new UsageTracker();
   
   try {
     // Validate inputs
     if (!args.image_path) {
       throw new McpError(ErrorCode.InvalidParams, 'An image path, URL, or base64 data is required');
     }
+    checkResponseFormat(args.response_format);
     
+    // PII in the question is masked before it is sent or cached
+    const redactor = createRedactor(args);
     const question = args.question || "What's in this image?";
     
     console.error(`Processing image: ${args.image_path.substring(0, 100)}${args.image_path.length > 100 ? '...' : ''}`);
     
-    // Convert the image to base64
-    const { base64, mimeType } = await prepareImage(args.image_path);
+    const questionText = redactor ? redactor.redactText(question) : question;
     
-    // Create the content array for the OpenAI API
-    const content = [
-      {
-        type: 'text',
-        text: question
-      },
-      {
-        type: 'image_url',
-        image_url: {
-          url: `data:${mimeType};base64,${base64}`
-        }
+    // Images are sniffed and converted by the shared ingestion; PDFs go to
+    // OpenRouter as a file and TIFFs as one image per page. Tiling splits
+    // the image into overlapping full-resolution tiles instead.
+    let inputParts: ChatCompletionContentPart[] = [];
+    let tiled: TiledImage | undefined;
+    try {
+      if (args.tile) {
+        tiled = await loadImageTiles(args.image_path, {
+          crop: args.crop,
+          tile_size: args.tile_size,
+          overlap: args.tile_overlap
+        });
+      } else {
+        inputParts = await loadImageInput(args.image_path, { detail: args.detail, crop: args.crop });
       }
-    ];
+    } catch (error: any) {
+      throw new McpError(ErrorCode.InvalidParams, `Failed to load image: ${error.message}`);
+    }
     
     // Select model with priority:
     // 1. User-specified model
     // 2. Default model from environment
     // 3. Default free vision model (qwen/qwen2.5-vl-32b-instruct:free)
-    let model = args.model || defaultModel || DEFAULT_FREE_MODEL;
+    // 4. The fallback models, in order
+    const model = args.model || defaultModel || DEFAULT_FREE_MODEL;
+    const samplingParams: SamplingParams = {
+      temperature: args.temperature,
+      seed: args.seed,
+      ...(args.reasoning && { reasoning: args.reasoning })
+    };
+    const chain = await resolveVisionModelChain(openai, model, args.models, samplingParams);
     
-    // If a model is specified but not our default free model, verify it exists
-    if (model !== DEFAULT_FREE_MODEL) {
-      try {
-        await openai.models.retrieve(model);
-      } catch (error) {
-        console.error(`Specified model ${model} not found, falling back to auto-selection`);
-        model = await findSuitableFreeModel(openai);
-      }
-    }
+    let cacheReport: CacheReport | undefined;
+    // Run one request through the fallback chain; with a JSON response
+    // format, validate the reply and re-prompt on failure
+    const analyze = (messages: ChatCompletionMessageParam[], responseFormat?: ResponseFormat, hasFiles = false) => {
+      const attempt = async (candidate: string, fallbacks: string[]) => {
+        console.error(`Making API call with model: ${candidate}`);
+        const complete = async (conversation: ChatCompletionMessageParam[]) => {
+          const params = {
+            model: candidate,
+            // Let OpenRouter route to the fallbacks itself where it can
+            ...(fallbacks.length > 0 && { models: [candidate, ...fallbacks] }),
+            messages: conversation,
+            response_format: responseFormat,
+            ...samplingParams,
+            ...(hasFiles && fileParserPlugins(args.pdf_engine))
+          };
+          const { value: completion, cached, report } = await runCached(
+            responseCache,
+            params,
+            args.cache,
+            () => openai.chat.completions.create({ ...params, ...USAGE_ACCOUNTING })
+          );
+          cacheReport = report;
+          if (!cached) {
+            usage.record(completion.usage, completion.model || candidate, completion.id);
+          }
+          const message = completion.choices[0].message;
+          return { ...splitReasoning(message.content || '', (message as any).reasoning), completion };
+        };
+        
+        return isJsonResponseFormat(responseFormat)
+          ? await completeWithStructuredOutput(messages, responseFormat, complete, args.repair_attempts)
+          : { result: await complete(messages), data: undefined };
+      };
+      
+      return runWithModelFallback(chain.models, attempt, {
+        skipped: chain.skipped,
+        answeredModel: ({ result }) => result.completion.model
+      });
+    };
     
-    console.error(`Making API call with model: ${model}`);
+    let outcome: Awaited<ReturnType<typeof analyze>>;
+    let tiling: Record<string, unknown> | undefined;
+    if (tiled) {
+      // Each overlapping tile is analyzed at full resolution, then the
+      // partial answers are merged into one
+      const grid = tiled;
+      console.error(`Analyzing ${grid.tiles.length} tiles (${grid.rows}x${grid.columns})`);
+      
+      const tileAnswers = await mapWithConcurrency(grid.tiles, TILE_CONCURRENCY, async (tile) => {
+        const { result } = await analyze([{
+          role: 'user',
+          content: [
+            { type: 'text', text: formatTilePrompt(questionText, tile, grid) },
+            { type: 'image_url', image_url: { url: tile.image.url, detail: 'high' } }
+          ]
+        }]);
+        return result.result.text;
+      });
+      
+      outcome = await analyze(
+        [{ role: 'user', content: formatMergePrompt(questionText, grid.tiles, tileAnswers) }],
+        args.response_format
+      );
+      tiling = {
+        rows: grid.rows,
+        columns: grid.columns,
+        width: grid.width,
+        height: grid.height,
+        tiles: grid.tiles.map((tile) => tile.region)
+      };
+    } else {
+      const content: ChatCompletionContentPart[] = [
+        { type: 'text', text: questionText },
+        ...inputParts
+      ];
+      const hasFiles = inputParts.some(part => part.type === 'file');
+      outcome = await analyze([{ role: 'user', content }], args.response_format, hasFiles);
+    }
+    const { result: { result, data }, report } = outcome;
     
-    // Make the API call
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: [{
-        role: 'user',
-        content
-      }] as any
-    });
+    // Placeholders in the reply are restored, if configured
+    const answer = { text: result.text, reasoning: result.reasoning, data };
+    const reply = redactor ? redactor.restore(answer) : answer;
     
     // Return the analysis result
     return {
       content: [
         {
           type: 'text',
-          text: completion.choices[0].message.content || '',
+          text: reply.data !== undefined ? JSON.stringify(reply.data, null, 2) : reply.text,
         },
+        // The reasoning trace goes in its own block after the answer
+        ...reasoningContent(reply.reasoning, result.completion.usage),
       ],
+      ...(reply.data !== undefined && { structuredContent: toStructuredContent(reply.data) }),
       metadata: {
-        model: completion.model,
-        usage: completion.usage
+        model: result.completion.model,
+        ...usage.toMetadata(),
+        ...(report.models.length > 1 && { fallback: report }),
+        ...(cacheReport && { cache: cacheReport }),
+        ...(tiling && { tiling }),
+        ...(redactor && { redaction: redactor.report() })
       }
     };
   } catch (error) {
@@ -368,7 +274,8 @@ export async function handleAnalyzeImage(
       isError: true,
       metadata: {
         error_type: error instanceof Error ? error.constructor.name : 'Unknown',
-        error_message: error instanceof Error ? error.message : String(error)
+        error_message: error instanceof Error ? error.message : String(error),
+        ...(usage.hasCalls && usage.toMetadata())
       }
     };
   }
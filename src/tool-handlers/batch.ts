@@ -0,0 +1,147 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { BatchJob, BatchManager } from '../batch-jobs.js';
+
+export interface BatchSubmitToolRequest {
+  input_path?: string;
+  output_path?: string;
+  batch_id?: string;
+  concurrency?: number;
+  max_retries?: number;
+}
+
+export interface BatchToolRequest {
+  batch_id: string;
+}
+
+export interface BatchResultsToolRequest extends BatchToolRequest {
+  offset?: number;
+  limit?: number;
+}
+
+function formatJob(job: BatchJob) {
+  const processed = job.succeeded + job.failed;
+  return {
+    ...job,
+    processed,
+    remaining: job.total - processed,
+  };
+}
+
+async function requireJob(batchManager: BatchManager, batchId: string): Promise<BatchJob> {
+  const job = await batchManager.getJob(batchId);
+  if (!job) {
+    throw new McpError(ErrorCode.InvalidParams, `Batch '${batchId}' not found`);
+  }
+  return job;
+}
+
+/**
+ * Start a batch in the background, or resume an interrupted one
+ */
+export async function handleBatchSubmit(
+  request: { params: { arguments: BatchSubmitToolRequest } },
+  batchManager: BatchManager
+) {
+  const args = request.params.arguments;
+
+  try {
+    const job = await batchManager.submit(args);
+    return {
+      content: [{ type: 'text', text: JSON.stringify(formatJob(job), null, 2) }],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error submitting batch: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Report a batch's progress, usage and cost so far
+ */
+export async function handleBatchStatus(
+  request: { params: { arguments: BatchToolRequest } },
+  batchManager: BatchManager
+) {
+  const args = request.params.arguments;
+
+  try {
+    const job = await requireJob(batchManager, args.batch_id);
+    return {
+      content: [{ type: 'text', text: JSON.stringify(formatJob(job), null, 2) }],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error getting batch status: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a page of a batch's results, ordered by input line
+ */
+export async function handleBatchResults(
+  request: { params: { arguments: BatchResultsToolRequest } },
+  batchManager: BatchManager
+) {
+  const args = request.params.arguments;
+
+  try {
+    await requireJob(batchManager, args.batch_id);
+    const { job, results } = await batchManager.results(args.batch_id, args.offset, args.limit);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(
+            { batch: formatJob(job), offset: args.offset || 0, results },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error reading batch results: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cancel a batch; items already in flight still finish
+ */
+export async function handleBatchCancel(
+  request: { params: { arguments: BatchToolRequest } },
+  batchManager: BatchManager
+) {
+  const args = request.params.arguments;
+
+  try {
+    await requireJob(batchManager, args.batch_id);
+    const job = await batchManager.cancel(args.batch_id);
+    return {
+      content: [{ type: 'text', text: JSON.stringify(formatJob(job), null, 2) }],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error cancelling batch: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
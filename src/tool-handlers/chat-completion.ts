@@ -1,69 +1,117 @@
 import OpenAI from 'openai';
-import { ChatCompletionMessageParam } from 'openai/resources/chat/completions.js';
+import {
+  ChatCompletionCreateParamsStreaming,
+  ChatCompletionMessageParam,
+  ChatCompletionMessageToolCall,
+  ChatCompletionTool,
+  ChatCompletionToolChoiceOption,
+} from 'openai/resources/chat/completions.js';
+import { ModelCache } from '../model-cache.js';
+import { ConversationStore, isValidConversationId } from '../conversation-store.js';
+import { CacheMode, CacheReport, ResponseCache, runCached } from '../response-cache.js';
+import { ProgressReporter } from '../utils/progress.js';
+import { estimateMessageTokens, getContextBudget } from '../utils/context-budget.js';
+import {
+  CompactionMode,
+  SUMMARY_TOKEN_RESERVE,
+  getCompactionModel,
+  summarizeMessages,
+} from '../utils/compaction.js';
+import {
+  ResponseFormat,
+  checkResponseFormat,
+  completeWithStructuredOutput,
+  isJsonResponseFormat,
+  toStructuredContent,
+} from '../utils/structured-output.js';
+import {
+  ProviderPreferences,
+  SamplingParams,
+  findUnsupportedParams,
+  formatUnsupportedParamsError,
+  pickSamplingParams,
+} from '../utils/sampling.js';
+import {
+  ContextLengthError,
+  buildModelChain,
+  runWithModelFallback,
+  screenModels,
+} from '../utils/model-fallback.js';
+import { USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import { reasoningContent, splitReasoning, streamedAnswer } from '../utils/reasoning.js';
+import { PdfEngine, fileParserPlugins, resolveDocumentParts } from '../utils/documents.js';
+import { resolveImageParts } from '../utils/image-ingestion.js';
+import { formatNoAudioInputError, resolveAudioParts, supportsAudioInput } from '../utils/audio.js';
+import { Redactor, createRedactor } from '../utils/redaction.js';
 
-// Maximum context tokens
-const MAX_CONTEXT_TOKENS = 200000;
-
-export interface ChatCompletionToolRequest {
+export interface ChatCompletionToolRequest extends SamplingParams {
   model?: string;
+  models?: string[];
   messages: ChatCompletionMessageParam[];
-  temperature?: number;
+  provider?: ProviderPreferences;
+  pdf_engine?: PdfEngine;
+  tools?: ChatCompletionTool[];
+  tool_choice?: ChatCompletionToolChoiceOption;
+  parallel_tool_calls?: boolean;
+  response_format?: ResponseFormat;
+  repair_attempts?: number;
+  compaction?: CompactionMode;
+  compaction_model?: string;
+  conversation_id?: string;
+  cache?: CacheMode;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
 }
 
-// Utility function to estimate token count (simplified)
-function estimateTokenCount(text: string): number {
-  // Rough approximation: 4 characters per token
-  return Math.ceil(text.length / 4);
+interface TruncationResult {
+  messages: ChatCompletionMessageParam[];
+  droppedIndices: number[];
+  promptTokens: number;
 }
 
 // Truncate messages to fit within the context window
-function truncateMessagesToFit(
+async function truncateMessagesToFit(
   messages: ChatCompletionMessageParam[], 
   maxTokens: number
-): ChatCompletionMessageParam[] {
-  const truncated: ChatCompletionMessageParam[] = [];
+): Promise<TruncationResult> {
+  const keptIndices: number[] = [];
+  const tokensByIndex = new Map<number, number>();
   let currentTokenCount = 0;
 
   // Always include system message first if present
-  if (messages[0]?.role === 'system') {
-    truncated.push(messages[0]);
-    currentTokenCount += estimateTokenCount(messages[0].content as string);
+  const hasSystemMessage = messages[0]?.role === 'system';
+  if (hasSystemMessage) {
+    const systemTokens = await estimateMessageTokens(messages[0]);
+    tokensByIndex.set(0, systemTokens);
+    currentTokenCount += systemTokens;
   }
 
   // Add messages from the end, respecting the token limit
-  for (let i = messages.length - 1; i >= 0; i--) {
-    const message = messages[i];
-    
-    // Skip if it's the system message we've already added
-    if (i === 0 && message.role === 'system') continue;
-    
-    // For string content, estimate tokens directly
-    if (typeof message.content === 'string') {
-      const messageTokens = estimateTokenCount(message.content);
-      if (currentTokenCount + messageTokens > maxTokens) break;
-      truncated.unshift(message);
-      currentTokenCount += messageTokens;
-    } 
-    // For multimodal content (array), estimate tokens for text content
-    else if (Array.isArray(message.content)) {
-      let messageTokens = 0;
-      for (const part of message.content) {
-        if (part.type === 'text' && part.text) {
-          messageTokens += estimateTokenCount(part.text);
-        } else if (part.type === 'image_url') {
-          // Add a token cost estimate for images - this is a simplification
-          // Actual image token costs depend on resolution and model
-          messageTokens += 1000; 
-        }
-      }
-      
-      if (currentTokenCount + messageTokens > maxTokens) break;
-      truncated.unshift(message);
-      currentTokenCount += messageTokens;
-    }
+  const firstIndex = hasSystemMessage ? 1 : 0;
+  for (let i = messages.length - 1; i >= firstIndex; i--) {
+    const messageTokens = await estimateMessageTokens(messages[i]);
+    if (currentTokenCount + messageTokens > maxTokens) break;
+    keptIndices.unshift(i);
+    tokensByIndex.set(i, messageTokens);
+    currentTokenCount += messageTokens;
+  }
+
+  // Tool results whose assistant tool_calls message was dropped are rejected
+  // by the API, so drop them too
+  while (keptIndices.length > 0 && messages[keptIndices[0]].role === 'tool') {
+    currentTokenCount -= tokensByIndex.get(keptIndices.shift()!)!;
+  }
+
+  if (hasSystemMessage) {
+    keptIndices.unshift(0);
   }
 
-  return truncated;
+  const kept = new Set(keptIndices);
+  return {
+    messages: keptIndices.map((index) => messages[index]),
+    droppedIndices: messages.map((_, index) => index).filter((index) => !kept.has(index)),
+    promptTokens: currentTokenCount,
+  };
 }
 
 // Find a suitable free model with the largest context window
@@ -113,10 +161,185 @@ async function findSuitableFreeModel(openai: OpenAI): Promise<string> {
   }
 }
 
+interface StreamedCompletion {
+  text: string;
+  reasoning: string;
+  toolCalls: ChatCompletionMessageToolCall[];
+  finishReason: string | null;
+  model?: string;
+  id?: string;
+  usage?: unknown;
+}
+
+// OpenRouter accepts sampling and routing fields the OpenAI types do not know
+type OpenRouterChatParams = Omit<ChatCompletionCreateParamsStreaming, 'stream'> & {
+  top_k?: number;
+  repetition_penalty?: number;
+  reasoning?: SamplingParams['reasoning'];
+  provider?: ProviderPreferences;
+  models?: string[];
+  usage?: { include: boolean };
+};
+
+// Stream a completion so partial tokens reach the client before the gateway's
+// request timeout, and assemble the final message from the chunks
+async function streamChatCompletion(
+  openai: OpenAI,
+  params: OpenRouterChatParams,
+  onDelta?: (delta: string) => Promise<void>
+): Promise<StreamedCompletion> {
+  const stream = await openai.chat.completions.create({
+    ...params,
+    stream: true,
+  });
+
+  let text = '';
+  let reasoning = '';
+  // Length of the answer already sent to onDelta
+  let streamed = 0;
+  let finishReason: string | null = null;
+  let model: string | undefined;
+  let id: string | undefined;
+  let usage: unknown;
+  const toolCalls: ChatCompletionMessageToolCall[] = [];
+  for await (const chunk of stream) {
+    // With native fallbacks the answering model may differ from the request
+    model ??= chunk.model;
+    id ??= chunk.id;
+    // With usage accounting the last chunk carries the usage and no choices
+    if (chunk.usage) usage = chunk.usage;
+    const choice = chunk.choices[0];
+    if (!choice) continue;
+    finishReason = choice.finish_reason ?? finishReason;
+
+    // Tool calls arrive as fragments keyed by index; stitch them together
+    for (const toolCallDelta of choice.delta?.tool_calls ?? []) {
+      const toolCall = (toolCalls[toolCallDelta.index] ??= {
+        id: '',
+        type: 'function',
+        function: { name: '', arguments: '' },
+      });
+      if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+      toolCall.function.name += toolCallDelta.function?.name ?? '';
+      toolCall.function.arguments += toolCallDelta.function?.arguments ?? '';
+    }
+
+    // Reasoning models stream their trace in a separate field; it is kept
+    // out of the answer and out of the progress notifications
+    reasoning += (choice.delta as any)?.reasoning ?? '';
+
+    const delta = choice.delta?.content;
+    if (!delta) continue;
+
+    text += delta;
+    // An inline <think> block is held back until it closes, so only the
+    // answer after it is streamed
+    const answer = streamedAnswer(text);
+    if (onDelta && answer.length > streamed) {
+      await onDelta(answer.slice(streamed));
+      streamed = answer.length;
+    }
+  }
+
+  return { ...splitReasoning(text, reasoning), toolCalls, finishReason, model, id, usage };
+}
+
+interface FittedContext {
+  messages: ChatCompletionMessageParam[];
+  metadata: Record<string, unknown>;
+}
+
+// Fit the conversation into a model's context budget, dropping (or, with
+// summarizing compaction, condensing) the oldest turns
+async function fitMessagesToModel(
+  openai: OpenAI,
+  messages: ChatCompletionMessageParam[],
+  model: string,
+  args: ChatCompletionToolRequest,
+  usage: UsageTracker
+): Promise<FittedContext> {
+  const budget = getContextBudget(model, args.max_tokens);
+
+  // With summarizing compaction, leave room for the summary message
+  const summarize = args.compaction === 'summarize';
+  const summaryReserve = summarize
+    ? Math.min(SUMMARY_TOKEN_RESERVE, Math.floor(budget.promptBudget / 4))
+    : 0;
+  const historyBudget = budget.promptBudget - summaryReserve;
+
+  // Truncate messages to fit within context window
+  const truncation = await truncateMessagesToFit(messages, historyBudget);
+  let truncatedMessages = truncation.messages;
+  const lastMessageIndex = messages.length - 1;
+  if (truncation.droppedIndices.includes(lastMessageIndex)) {
+    throw new ContextLengthError(
+      `The latest message does not fit in the context budget of ${model} ` +
+        `(${budget.promptBudget} prompt tokens of ${budget.contextLength}). Shorten it or use a larger-context model.`
+    );
+  }
+  if (truncation.droppedIndices.length > 0) {
+    console.error(`Dropped ${truncation.droppedIndices.length} message(s) to fit the context of ${model}`);
+  }
+
+  // Condense the dropped turns into a summary that takes their place, after
+  // the system prompt. If summarizing fails the turns are simply dropped.
+  let compaction: Record<string, unknown> | undefined;
+  if (summarize && truncation.droppedIndices.length > 0) {
+    const compactionModel = getCompactionModel(args.compaction_model);
+    try {
+      const result = await summarizeMessages(
+        openai,
+        truncation.droppedIndices.map((index) => messages[index]),
+        compactionModel,
+        summaryReserve,
+        usage
+      );
+      const insertAt = truncatedMessages[0]?.role === 'system' ? 1 : 0;
+      truncatedMessages = [
+        ...truncatedMessages.slice(0, insertAt),
+        result.summary,
+        ...truncatedMessages.slice(insertAt),
+      ];
+      compaction = {
+        mode: 'summarize',
+        model: result.model,
+        summarized_messages: result.summarizedMessages,
+        summary_tokens: await estimateMessageTokens(result.summary),
+      };
+    } catch (error: any) {
+      console.error('Context compaction failed, dropping history instead:', error);
+      compaction = {
+        mode: 'summarize',
+        model: compactionModel,
+        error: error.message || String(error),
+      };
+    }
+  }
+
+  // Reported with every result so callers can see what the model did not get
+  return {
+    messages: truncatedMessages,
+    metadata: {
+      model,
+      context_length: budget.contextLength,
+      completion_reserve: budget.completionReserve,
+      prompt_budget: budget.promptBudget,
+      budget_source: budget.source,
+      estimated_prompt_tokens: truncation.promptTokens,
+      dropped_messages: truncation.droppedIndices.length,
+      dropped_message_indices: truncation.droppedIndices,
+      ...(compaction && { compaction }),
+    },
+  };
+}
+
 export async function handleChatCompletion(
   request: { params: { arguments: ChatCompletionToolRequest } },
   openai: OpenAI,
-  defaultModel?: string
+  defaultModel?: string,
+  onProgress?: ProgressReporter,
+  conversationStore?: ConversationStore,
+  responseCache?: ResponseCache
 ) {
   const args = request.params.arguments;
   
@@ -133,6 +356,13 @@ export async function handleChatCompletion(
     };
   }
 
+  // Every OpenRouter call made for this request, including compaction
+  // summaries and structured output repair attempts
+  const usage = new UsageTracker();
+
+  // A response_format schema that does not compile fails before any call
+  checkResponseFormat(args.response_format);
+
   try {
     // Select model with priority:
     // 1. User-specified model
@@ -145,26 +375,313 @@ export async function handleChatCompletion(
       console.error(`Using auto-selected model: ${model}`);
     }
     
-    // Truncate messages to fit within context window
-    const truncatedMessages = truncateMessagesToFit(args.messages, MAX_CONTEXT_TOKENS);
-    
-    console.error(`Making API call with model: ${model}`);
+    // Tool results must reference the call they answer
+    const orphanToolMessage = args.messages.find(
+      (message) => message.role === 'tool' && !message.tool_call_id
+    );
+    if (orphanToolMessage) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Messages with role "tool" must include a tool_call_id.',
+          },
+        ],
+        isError: true,
+      };
+    }
 
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: truncatedMessages,
-      temperature: args.temperature ?? 1,
+    // With a conversation_id, the stored history is prepended so clients only
+    // need to send the new turn
+    let history: ChatCompletionMessageParam[] = [];
+    if (args.conversation_id) {
+      if (!conversationStore || !isValidConversationId(args.conversation_id)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: conversationStore
+                ? 'conversation_id may only contain letters, digits, "-" and "_" (max 128 characters).'
+                : 'Conversations are not available on this server.',
+            },
+          ],
+          isError: true,
+        };
+      }
+      const conversation = await conversationStore.getConversation(args.conversation_id, { resolveImages: true });
+      history = conversation?.messages ?? [];
+    }
+
+    // Local images, documents and audio files are inlined, images converted
+    // like in the image tools and TIFFs split into page images, before they
+    // are stored or sent
+    let images: ChatCompletionMessageParam[];
+    let documents: Awaited<ReturnType<typeof resolveDocumentParts>>;
+    let audio: Awaited<ReturnType<typeof resolveAudioParts>>;
+    try {
+      images = await resolveImageParts(args.messages);
+    } catch (error: any) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Could not load image: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+    try {
+      documents = await resolveDocumentParts(images);
+    } catch (error: any) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Could not load document: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+    try {
+      audio = await resolveAudioParts(documents.messages);
+    } catch (error: any) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Could not load audio: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    // PII is masked before anything is sent, cached or stored
+    let redactor: Redactor | undefined;
+    try {
+      redactor = createRedactor(args);
+    } catch (error: any) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `PII redaction is misconfigured: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+    const newMessages = redactor ? redactor.redactMessages(audio.messages) : audio.messages;
+    const messages = [...(redactor ? redactor.redactMessages(history) : history), ...newMessages];
+    // Replies go back to the caller with the placeholders restored, if configured
+    const restore = <T>(value: T): T => (redactor ? redactor.restore(value) : value);
+    const historyHas = (type: string) =>
+      history.some(
+        (message) => Array.isArray(message.content) && message.content.some((part) => part.type === type)
+      );
+    const hasFiles = documents.hasFiles || historyHas('file');
+    const hasAudio = audio.hasAudio || historyHas('input_audio');
+
+    // Budget against the model's real context window; the model list is
+    // fetched on first use so small-context models are not overrun
+    await ModelCache.getInstance().ensureModels(async () => (await openai.models.list()).data);
+
+    // Skip models that cannot hear audio in the conversation, or that would
+    // silently ignore requested parameters rather than return output the
+    // caller cannot reproduce
+    const samplingParams = pickSamplingParams(args);
+    const chain = screenModels(buildModelChain(model, args.models), (candidate) => {
+      if (hasAudio && !supportsAudioInput(candidate)) {
+        return { reason: 'unsupported_input', error: formatNoAudioInputError(candidate) };
+      }
+      const unsupported = findUnsupportedParams(candidate, samplingParams);
+      return unsupported.length > 0
+        ? {
+            reason: 'unsupported_parameters',
+            error: formatUnsupportedParamsError(candidate, unsupported),
+          }
+        : undefined;
     });
+    if (chain.models.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: chain.skipped.map((entry) => entry.error).join('\n'),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    // Progress must keep increasing across structured output repair attempts
+    // and fallback models
+    let streamedLength = 0;
+    const onDelta = onProgress
+      ? (delta: string) => {
+          streamedLength += delta.length;
+          return onProgress(delta, streamedLength);
+        }
+      : undefined;
+
+    // How the final model call used the response cache
+    let cacheReport: CacheReport | undefined;
+
+    // Each model gets the history fitted to its own context window. The
+    // remaining fallbacks go along as OpenRouter's native models list, so
+    // OpenRouter can route past an unavailable model without a round trip.
+    const attempt = async (candidate: string, fallbacks: string[]) => {
+      const context = await fitMessagesToModel(openai, messages, candidate, args, usage);
+      console.error(`Making API call with model: ${candidate}`);
+
+      const requestParams = {
+        model: candidate,
+        ...(fallbacks.length > 0 && { models: [candidate, ...fallbacks] }),
+        ...samplingParams,
+        provider: args.provider,
+        ...(hasFiles && fileParserPlugins(args.pdf_engine)),
+        tools: args.tools,
+        tool_choice: args.tool_choice,
+        parallel_tool_calls: args.parallel_tool_calls,
+        response_format: args.response_format,
+      };
+      const complete = async (messages: ChatCompletionMessageParam[]) => {
+        const params = { ...requestParams, messages };
+        const { value: completion, cached, report } = await runCached(
+          responseCache,
+          params,
+          args.cache,
+          () => streamChatCompletion(openai, { ...params, ...USAGE_ACCOUNTING }, onDelta)
+        );
+        cacheReport = report;
+        if (cached) {
+          // Cached answers cost nothing; still stream them as progress
+          if (onDelta && completion.text) {
+            await onDelta(completion.text);
+          }
+        } else {
+          usage.record(completion.usage, completion.model || candidate, completion.id);
+        }
+        return completion;
+      };
+
+      if (isJsonResponseFormat(args.response_format)) {
+        const structured = await completeWithStructuredOutput(
+          context.messages,
+          args.response_format,
+          complete,
+          args.repair_attempts
+        );
+        return { context, completion: structured.result, structuredData: structured.data };
+      }
+      return { context, completion: await complete(context.messages), structuredData: undefined as unknown };
+    };
+
+    const { result, report } = await runWithModelFallback(chain.models, attempt, {
+      skipped: chain.skipped,
+      answeredModel: (result) => result.completion.model,
+    });
+    const { context, completion, structuredData } = result;
+    const { text, toolCalls, finishReason } = completion;
+    // The reasoning trace goes in its own block after the answer
+    const reasoningBlocks = reasoningContent(restore(completion.reasoning), completion.usage);
+
+    const metadata: Record<string, unknown> = {
+      context: context.metadata,
+      ...usage.toMetadata(),
+    };
+    if (report.models.length > 1) {
+      metadata.fallback = report;
+    }
+    if (cacheReport) {
+      metadata.cache = cacheReport;
+    }
+    if (redactor) {
+      metadata.redaction = redactor.report();
+    }
+    if (args.conversation_id && conversationStore) {
+      const conversation = await conversationStore.appendMessages(
+        args.conversation_id,
+        [
+          ...newMessages,
+          {
+            role: 'assistant',
+            content: text || null,
+            ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+          },
+        ],
+        report.answered_by
+      );
+      metadata.conversation = {
+        id: conversation.id,
+        message_count: conversation.messages.length,
+      };
+    }
+
+    // Conversations keep the redacted reply; the caller gets it restored
+    const reply = restore({ text, toolCalls, structuredData });
+
+    if (toolCalls.length > 0) {
+      // Return tool calls as structured content so agents can execute them and
+      // send the results back as "tool" messages
+      const structuredContent = {
+        content: reply.text || null,
+        tool_calls: reply.toolCalls,
+        finish_reason: finishReason,
+      };
+      return {
+        content: [
+          ...(reply.text ? [{ type: 'text', text: reply.text }] : []),
+          {
+            type: 'text',
+            text: JSON.stringify(structuredContent, null, 2),
+          },
+          ...reasoningBlocks,
+        ],
+        structuredContent,
+        metadata,
+      };
+    }
+
+    if (reply.structuredData !== undefined) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(reply.structuredData, null, 2),
+          },
+          ...reasoningBlocks,
+        ],
+        structuredContent: toStructuredContent(reply.structuredData),
+        metadata,
+      };
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: completion.choices[0].message.content || '',
+          text: reply.text,
         },
+        ...reasoningBlocks,
       ],
+      metadata,
     };
   } catch (error) {
+    if (error instanceof ContextLengthError) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: error.message,
+          },
+        ],
+        isError: true,
+        ...(usage.hasCalls && { metadata: usage.toMetadata() }),
+      };
+    }
     if (error instanceof Error) {
       return {
         content: [
@@ -174,6 +691,7 @@ export async function handleChatCompletion(
           },
         ],
         isError: true,
+        ...(usage.hasCalls && { metadata: usage.toMetadata() }),
       };
     }
     throw error;
@@ -0,0 +1,356 @@
+import OpenAI from 'openai';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions.js';
+import { ModelCache } from '../model-cache.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { CallUsage, USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import { formatTranscriptLine } from '../utils/compaction.js';
+import { createRedactor } from '../utils/redaction.js';
+import { resolveImageParts } from '../utils/image-ingestion.js';
+import {
+  SamplingParams,
+  findUnsupportedParams,
+  formatUnsupportedParamsError,
+  pickSamplingParams,
+} from '../utils/sampling.js';
+import {
+  ResponseFormat,
+  completeWithStructuredOutput,
+} from '../utils/structured-output.js';
+
+export const MIN_COMPARE_MODELS = 2;
+export const MAX_COMPARE_MODELS = 8;
+const DEFAULT_CONCURRENCY = 4;
+
+const DEFAULT_RUBRIC =
+  'Correctness, completeness, clarity, and how closely the answer follows the instructions in the conversation.';
+
+const JUDGE_PROMPT =
+  'You are an impartial judge comparing answers written by different AI models to the same conversation. ' +
+  'The answers are anonymized with letters. Judge them only against the rubric; ignore answer length and ' +
+  'order unless the rubric says otherwise. Rank every answer (1 = best, no ties) and give each a score from 0 to 10.';
+
+const JUDGE_FORMAT: ResponseFormat = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'model_comparison',
+    schema: {
+      type: 'object',
+      properties: {
+        rankings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string' },
+              rank: { type: 'integer', minimum: 1 },
+              score: { type: 'number', minimum: 0, maximum: 10 },
+              rationale: { type: 'string' },
+            },
+            required: ['label', 'rank', 'score', 'rationale'],
+            additionalProperties: false,
+          },
+        },
+        summary: { type: 'string' },
+      },
+      required: ['rankings', 'summary'],
+      additionalProperties: false,
+    },
+  },
+};
+
+export interface CompareModelsToolRequest extends SamplingParams {
+  models: string[];
+  messages: ChatCompletionMessageParam[];
+  concurrency?: number;
+  judge_model?: string;
+  rubric?: string;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+}
+
+interface ModelAnswer {
+  model: string;
+  answer?: string;
+  error?: string;
+  latency_ms?: number;
+  usage?: CallUsage;
+  cost_usd?: number | null;
+  rank?: number;
+  score?: number;
+  rationale?: string;
+}
+
+interface JudgeVerdict {
+  rankings: Array<{ label: string; rank: number; score: number; rationale: string }>;
+  summary: string;
+}
+
+// Answer labels shown to the judge, so it does not see model names
+const answerLabel = (index: number) => String.fromCharCode(65 + index);
+
+/**
+ * Send the messages to one model and time the call. Failures are recorded
+ * on the answer so the other models' results are still returned.
+ */
+async function askModel(
+  openai: OpenAI,
+  model: string,
+  messages: ChatCompletionMessageParam[],
+  samplingParams: SamplingParams,
+  usage: UsageTracker
+): Promise<ModelAnswer> {
+  const unsupported = findUnsupportedParams(model, samplingParams);
+  if (unsupported.length > 0) {
+    return { model, error: formatUnsupportedParamsError(model, unsupported) };
+  }
+
+  const start = Date.now();
+  try {
+    const completion = await openai.chat.completions.create({
+      model,
+      messages,
+      ...samplingParams,
+      ...USAGE_ACCOUNTING,
+    });
+    const latency = Date.now() - start;
+    const call = usage.record(completion.usage, model, completion.id);
+    return {
+      model,
+      answer: completion.choices[0]?.message?.content || '',
+      latency_ms: latency,
+      usage: call,
+      cost_usd: call.cost_usd,
+    };
+  } catch (error: any) {
+    return {
+      model,
+      error: error.message || String(error),
+      latency_ms: Date.now() - start,
+    };
+  }
+}
+
+/**
+ * Have the judge model rank the successful answers against the rubric.
+ * Images from the conversation are passed along so vision answers can be
+ * checked against them.
+ */
+async function judgeAnswers(
+  openai: OpenAI,
+  judgeModel: string,
+  rubric: string,
+  messages: ChatCompletionMessageParam[],
+  answers: ModelAnswer[],
+  usage: UsageTracker
+): Promise<{ verdict: JudgeVerdict; labels: Record<string, string> }> {
+  const labels: Record<string, string> = {};
+  const answerSections = answers.map((answer, index) => {
+    labels[answerLabel(index)] = answer.model;
+    return `### Answer ${answerLabel(index)}\n\n${answer.answer}`;
+  });
+
+  const images = messages.flatMap((message) =>
+    Array.isArray(message.content)
+      ? (message.content as any[]).filter((part) => part.type === 'image_url')
+      : []
+  );
+
+  const judgeMessages: ChatCompletionMessageParam[] = [
+    { role: 'system', content: JUDGE_PROMPT },
+    {
+      role: 'user',
+      content: [
+        {
+          type: 'text',
+          text: [
+            '## Conversation',
+            messages.map(formatTranscriptLine).join('\n'),
+            '## Rubric',
+            rubric,
+            '## Answers',
+            ...answerSections,
+          ].join('\n\n'),
+        },
+        ...images,
+      ],
+    },
+  ];
+
+  const { data } = await completeWithStructuredOutput(
+    judgeMessages,
+    JUDGE_FORMAT,
+    async (conversation) => {
+      const completion = await openai.chat.completions.create({
+        model: judgeModel,
+        messages: conversation,
+        response_format: JUDGE_FORMAT,
+        temperature: 0,
+        ...USAGE_ACCOUNTING,
+      });
+      usage.record(completion.usage, completion.model || judgeModel, completion.id);
+      return { text: completion.choices[0]?.message?.content || '' };
+    }
+  );
+
+  return { verdict: data as JudgeVerdict, labels };
+}
+
+function formatNumber(value: number | null | undefined, digits = 0): string {
+  return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+/**
+ * Render the comparison as a summary table followed by each answer
+ */
+function formatComparisonMarkdown(answers: ModelAnswer[], judgeSummary?: string): string {
+  const ranked = answers.some((answer) => answer.rank !== undefined);
+  const header = ranked
+    ? '| Model | Rank | Score | Latency (ms) | Prompt tokens | Completion tokens | Cost (USD) |\n|---|---|---|---|---|---|---|'
+    : '| Model | Latency (ms) | Prompt tokens | Completion tokens | Cost (USD) |\n|---|---|---|---|---|';
+
+  const rows = answers.map((answer) => {
+    const cells = [
+      answer.model,
+      ...(ranked ? [formatNumber(answer.rank), formatNumber(answer.score, 1)] : []),
+      formatNumber(answer.latency_ms),
+      formatNumber(answer.usage?.prompt_tokens),
+      formatNumber(answer.usage?.completion_tokens),
+      formatNumber(answer.cost_usd, 6),
+    ];
+    return `| ${cells.join(' | ')} |`;
+  });
+
+  const sections = answers.map((answer) => {
+    const body = answer.error ? `**Error:** ${answer.error}` : answer.answer;
+    const rationale = answer.rationale ? `\n\n*Judge:* ${answer.rationale}` : '';
+    return `## ${answer.model}\n\n${body}${rationale}`;
+  });
+
+  return [
+    `${header}\n${rows.join('\n')}`,
+    ...(judgeSummary ? [`**Judge summary:** ${judgeSummary}`] : []),
+    ...sections,
+  ].join('\n\n');
+}
+
+/**
+ * Send the same messages to several models in parallel and compare the
+ * answers, optionally ranked by a judge model
+ */
+export async function handleCompareModels(
+  request: { params: { arguments: CompareModelsToolRequest } },
+  openai: OpenAI
+) {
+  const args = request.params.arguments;
+  const models = [...new Set(args.models || [])];
+
+  if (models.length < MIN_COMPARE_MODELS || models.length > MAX_COMPARE_MODELS) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Provide between ${MIN_COMPARE_MODELS} and ${MAX_COMPARE_MODELS} distinct models to compare.`,
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  if (!args.messages || args.messages.length === 0) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Messages array cannot be empty. At least one message is required.',
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  try {
+    // Pricing and supported parameters come from the model cache
+    await ModelCache.getInstance().ensureModels(async () => (await openai.models.list()).data);
+
+    // Local images are loaded once, the same way the image tools load them
+    const loaded = await resolveImageParts(args.messages);
+
+    // PII is masked before the messages go to any model, the judge included
+    const redactor = createRedactor(args);
+    const messages = redactor ? redactor.redactMessages(loaded) : loaded;
+
+    const samplingParams = pickSamplingParams(args);
+    const usage = new UsageTracker();
+    const answers = await mapWithConcurrency(
+      models,
+      args.concurrency || DEFAULT_CONCURRENCY,
+      (model) => askModel(openai, model, messages, samplingParams, usage)
+    );
+
+    let judge: Record<string, unknown> | undefined;
+    const answered = answers.filter((answer) => !answer.error);
+    if (args.judge_model && answered.length > 0) {
+      const rubric = args.rubric || DEFAULT_RUBRIC;
+      try {
+        const { verdict, labels } = await judgeAnswers(
+          openai,
+          args.judge_model,
+          rubric,
+          messages,
+          answered,
+          usage
+        );
+        for (const ranking of verdict.rankings) {
+          const answer = answered.find((candidate) => candidate.model === labels[ranking.label]);
+          if (answer) {
+            answer.rank = ranking.rank;
+            answer.score = ranking.score;
+            answer.rationale = ranking.rationale;
+          }
+        }
+        judge = { model: args.judge_model, rubric, summary: verdict.summary };
+      } catch (error: any) {
+        console.error('Judging the comparison failed:', error);
+        judge = { model: args.judge_model, rubric, error: error.message || String(error) };
+      }
+    }
+
+    // Placeholders in the answers are restored, if configured
+    const results = redactor ? redactor.restore(answers) : answers;
+    if (judge && redactor) {
+      judge = redactor.restore(judge);
+    }
+    const structuredContent = {
+      results,
+      ...(judge && { judge }),
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatComparisonMarkdown(results, judge?.summary as string | undefined),
+        },
+      ],
+      structuredContent,
+      metadata: {
+        ...usage.toMetadata(),
+        ...(redactor && { redaction: redactor.report() }),
+      },
+      ...(answered.length === 0 && { isError: true }),
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error comparing models: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,240 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions.js';
+import { Conversation, ConversationStore } from '../conversation-store.js';
+
+export interface ListConversationsToolRequest {
+  limit?: number;
+}
+
+export interface ConversationToolRequest {
+  conversation_id: string;
+}
+
+export interface ForkConversationToolRequest extends ConversationToolRequest {
+  message_count?: number;
+}
+
+export interface ExportConversationToolRequest extends ConversationToolRequest {
+  format?: 'markdown' | 'json';
+  include_images?: boolean;
+}
+
+/**
+ * Render one message as a markdown section
+ */
+function formatMessageMarkdown(message: ChatCompletionMessageParam): string {
+  const heading = message.role === 'tool'
+    ? `## Tool result (${message.tool_call_id})`
+    : `## ${message.role.charAt(0).toUpperCase()}${message.role.slice(1)}`;
+
+  const body: string[] = [];
+  if (typeof message.content === 'string') {
+    body.push(message.content);
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content as any[]) {
+      if (part.type === 'text') {
+        body.push(part.text);
+      } else if (part.type === 'image_url') {
+        body.push(`![image](${part.image_url.url})`);
+      } else if (part.type === 'file') {
+        body.push(`[${part.file.filename || 'file'}](${part.file.file_data})`);
+      } else if (part.type === 'input_audio') {
+        const { data, format } = part.input_audio;
+        const url = data.includes('://') ? data : `data:audio/${format};base64,${data}`;
+        body.push(`[audio.${format}](${url})`);
+      }
+    }
+  }
+
+  if (message.role === 'assistant' && message.tool_calls) {
+    body.push(
+      '**Tool calls:**\n' +
+        message.tool_calls
+          .map((call) => `- \`${call.function.name}(${call.function.arguments})\` (${call.id})`)
+          .join('\n')
+    );
+  }
+
+  return `${heading}\n\n${body.join('\n\n')}`;
+}
+
+function formatConversationMarkdown(conversation: Conversation): string {
+  const details = [
+    `- **ID**: ${conversation.id}`,
+    conversation.model ? `- **Model**: ${conversation.model}` : null,
+    conversation.forked_from ? `- **Forked from**: ${conversation.forked_from}` : null,
+    `- **Created**: ${conversation.created_at}`,
+    `- **Updated**: ${conversation.updated_at}`,
+  ].filter(Boolean);
+
+  return [
+    `# ${conversation.title}`,
+    details.join('\n'),
+    ...conversation.messages.map(formatMessageMarkdown),
+  ].join('\n\n');
+}
+
+async function requireConversation(
+  conversationStore: ConversationStore,
+  conversationId: string,
+  resolveImages = false
+): Promise<Conversation> {
+  const conversation = await conversationStore.getConversation(conversationId, { resolveImages });
+  if (!conversation) {
+    throw new McpError(ErrorCode.InvalidParams, `Conversation '${conversationId}' not found`);
+  }
+  return conversation;
+}
+
+/**
+ * List stored conversations, most recent first
+ */
+export async function handleListConversations(
+  request: { params: { arguments: ListConversationsToolRequest } },
+  conversationStore: ConversationStore
+) {
+  const args = request.params.arguments;
+
+  try {
+    const conversations = await conversationStore.listConversations();
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(conversations.slice(0, args.limit || 50), null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error listing conversations: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch a conversation with its messages (images as asset:// references)
+ */
+export async function handleGetConversation(
+  request: { params: { arguments: ConversationToolRequest } },
+  conversationStore: ConversationStore
+) {
+  const args = request.params.arguments;
+
+  try {
+    const conversation = await requireConversation(conversationStore, args.conversation_id);
+    return {
+      content: [{ type: 'text', text: JSON.stringify(conversation, null, 2) }],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error retrieving conversation: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Copy a conversation, optionally cut after its first message_count messages
+ */
+export async function handleForkConversation(
+  request: { params: { arguments: ForkConversationToolRequest } },
+  conversationStore: ConversationStore
+) {
+  const args = request.params.arguments;
+
+  try {
+    await requireConversation(conversationStore, args.conversation_id);
+    const fork = await conversationStore.forkConversation(args.conversation_id, args.message_count);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            conversation_id: fork!.id,
+            forked_from: args.conversation_id,
+            message_count: fork!.messages.length,
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error forking conversation: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Export a conversation as markdown or JSON
+ */
+export async function handleExportConversation(
+  request: { params: { arguments: ExportConversationToolRequest } },
+  conversationStore: ConversationStore
+) {
+  const args = request.params.arguments;
+
+  try {
+    const conversation = await requireConversation(
+      conversationStore,
+      args.conversation_id,
+      args.include_images
+    );
+    const text = args.format === 'json'
+      ? JSON.stringify(conversation, null, 2)
+      : formatConversationMarkdown(conversation);
+    return {
+      content: [{ type: 'text', text }],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error exporting conversation: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a conversation and its unshared images
+ */
+export async function handleDeleteConversation(
+  request: { params: { arguments: ConversationToolRequest } },
+  conversationStore: ConversationStore
+) {
+  const args = request.params.arguments;
+
+  try {
+    await requireConversation(conversationStore, args.conversation_id);
+    await conversationStore.deleteConversation(args.conversation_id);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ deleted: true, conversation_id: args.conversation_id }),
+        },
+      ],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error deleting conversation: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
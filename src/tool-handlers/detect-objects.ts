@@ -0,0 +1,392 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import OpenAI from 'openai';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions.js';
+import { resolveVisionModelChain } from './multi-image-analysis.js';
+import { runWithModelFallback } from '../utils/model-fallback.js';
+import { USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import { splitReasoning } from '../utils/reasoning.js';
+import { CacheMode, CacheReport, ResponseCache, runCached } from '../response-cache.js';
+import { isPdf } from '../utils/media-source.js';
+import { annotateImage } from '../utils/annotation.js';
+import { resolveAllowedPath } from '../utils/file-access.js';
+import { createRedactor } from '../utils/redaction.js';
+import {
+  CropRegion,
+  ImageDetail,
+  imagePages,
+  imageSize,
+  prepareImage,
+  readImageSource,
+  resolveCrop,
+} from '../utils/image-ingestion.js';
+import { ResponseFormat, completeWithStructuredOutput } from '../utils/structured-output.js';
+
+// Default model for object detection
+const DEFAULT_FREE_MODEL = 'qwen/qwen2.5-vl-32b-instruct:free';
+
+export const MAX_DETECTIONS = 200;
+export const MAX_DETECTION_LABELS = 50;
+const DEFAULT_MAX_OBJECTS = 50;
+
+// Inline annotated images are scaled down to keep tool results small
+const INLINE_IMAGE_DIMENSION = 2048;
+const INLINE_IMAGE_QUALITY = 85;
+
+const OUTPUT_FORMATS: Record<string, keyof sharp.FormatEnum> = {
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.webp': 'webp',
+};
+
+export interface DetectObjectsToolRequest {
+  image_path: string;
+  labels?: string[];
+  instructions?: string;
+  max_objects?: number;
+  min_confidence?: number;
+  detail?: ImageDetail;
+  crop?: CropRegion;
+  model?: string;
+  models?: string[];
+  seed?: number;
+  cache?: CacheMode;
+  output_path?: string;
+  return_image?: boolean;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+}
+
+/**
+ * A detected object, with its box in pixels of the upright image
+ */
+export interface DetectedObject {
+  label: string;
+  confidence: number;
+  box: { x: number; y: number; width: number; height: number };
+}
+
+// Detections as the model reports them, with box edges as fractions of
+// the image it was shown
+interface ModelDetection {
+  label: string;
+  confidence: number;
+  box: { x_min: number; y_min: number; x_max: number; y_max: number };
+}
+
+interface RejectedDetection {
+  index: number;
+  label: string;
+  reason: string;
+}
+
+/**
+ * The detection contract. Labels are limited to the requested ones when
+ * given, and box edges to fractions of the image.
+ */
+function detectionFormat(maxObjects: number, labels?: string[]): ResponseFormat {
+  const fraction = { type: 'number', minimum: 0, maximum: 1 };
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'object_detections',
+      schema: {
+        type: 'object',
+        properties: {
+          objects: {
+            type: 'array',
+            maxItems: maxObjects,
+            items: {
+              type: 'object',
+              properties: {
+                label: labels?.length ? { type: 'string', enum: labels } : { type: 'string', minLength: 1 },
+                confidence: fraction,
+                box: {
+                  type: 'object',
+                  properties: { x_min: fraction, y_min: fraction, x_max: fraction, y_max: fraction },
+                  required: ['x_min', 'y_min', 'x_max', 'y_max'],
+                  additionalProperties: false,
+                },
+              },
+              required: ['label', 'confidence', 'box'],
+              additionalProperties: false,
+            },
+          },
+        },
+        required: ['objects'],
+        additionalProperties: false,
+      },
+    },
+  };
+}
+
+function formatDetectionPrompt(args: DetectObjectsToolRequest, maxObjects: number): string {
+  return [
+    args.labels?.length
+      ? `Find every instance of these objects in the image: ${args.labels.join(', ')}. Use exactly these labels.`
+      : 'Find the distinct objects in the image and give each a short, lowercase label.',
+    ...(args.instructions ? [args.instructions] : []),
+    'For each object give a tight bounding box around its visible part as x_min, y_min, x_max and y_max, ' +
+      'fractions (0-1) of the image width and height measured from the top-left corner, and your confidence ' +
+      'from 0 to 1 that the label is right. Report each instance separately. ' +
+      `Report at most ${maxObjects} objects, the most confident first. If there are none, return an empty list.`,
+  ].join('\n\n');
+}
+
+/**
+ * Check the boxes the model returned and map them to pixels of the region
+ * it was shown. Boxes with no area, or edges in the wrong order, are
+ * rejected with a reason rather than guessed at.
+ */
+function validateDetections(
+  detections: ModelDetection[],
+  region: { left: number; top: number; width: number; height: number },
+  minConfidence: number
+): { objects: DetectedObject[]; rejected: RejectedDetection[] } {
+  const objects: DetectedObject[] = [];
+  const rejected: RejectedDetection[] = [];
+
+  detections.forEach((detection, index) => {
+    const { x_min, y_min, x_max, y_max } = detection.box;
+    const reject = (reason: string) => rejected.push({ index, label: detection.label, reason });
+    const edges = [x_min, y_min, x_max, y_max];
+    if (edges.some((edge) => !Number.isFinite(edge) || edge < 0 || edge > 1)) {
+      return reject('box edges must be fractions from 0 to 1');
+    }
+    if (x_max <= x_min || y_max <= y_min) {
+      return reject('x_max and y_max must be greater than x_min and y_min');
+    }
+    if (detection.confidence < minConfidence) {
+      return reject(`confidence ${detection.confidence} is below min_confidence`);
+    }
+
+    const left = Math.round(region.left + x_min * region.width);
+    const top = Math.round(region.top + y_min * region.height);
+    const right = Math.round(region.left + x_max * region.width);
+    const bottom = Math.round(region.top + y_max * region.height);
+    if (right - left < 1 || bottom - top < 1) {
+      return reject('box is smaller than a pixel');
+    }
+    objects.push({
+      label: detection.label,
+      confidence: detection.confidence,
+      box: { x: left, y: top, width: right - left, height: bottom - top },
+    });
+  });
+
+  return { objects, rejected };
+}
+
+function summarizeLabels(objects: DetectedObject[]): string {
+  const counts = new Map<string, number>();
+  for (const object of objects) {
+    counts.set(object.label, (counts.get(object.label) || 0) + 1);
+  }
+  return [...counts].map(([label, count]) => `${count} ${label}`).join(', ');
+}
+
+/**
+ * Detect objects in an image as labelled bounding boxes, and draw them onto
+ * the image. The model must reply under a strict JSON contract; its boxes
+ * are validated and mapped to pixels of the original (upright) image.
+ */
+export async function handleDetectObjects(
+  request: { params: { arguments: DetectObjectsToolRequest } },
+  openai: OpenAI,
+  defaultModel?: string,
+  responseCache?: ResponseCache
+) {
+  const args = request.params.arguments;
+  const usage = new UsageTracker();
+  const maxObjects = args.max_objects ?? DEFAULT_MAX_OBJECTS;
+
+  try {
+    if (!args.image_path) {
+      throw new McpError(ErrorCode.InvalidParams, 'An image path, URL, or base64 data is required');
+    }
+    let outputPath: string | undefined;
+    if (args.output_path) {
+      if (!path.isAbsolute(args.output_path)) {
+        throw new McpError(ErrorCode.InvalidParams, `output_path must be absolute: ${args.output_path}`);
+      }
+      if (!OUTPUT_FORMATS[path.extname(args.output_path).toLowerCase()]) {
+        throw new McpError(ErrorCode.InvalidParams, 'output_path must end in .png, .jpg, .jpeg or .webp');
+      }
+      try {
+        outputPath = await resolveAllowedPath(args.output_path, 'write');
+      } catch (error: any) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    }
+
+    // Only the first page of a multi-page TIFF is searched
+    let page: Buffer;
+    let totalPages: number;
+    let size: { width: number; height: number };
+    let region: { left: number; top: number; width: number; height: number };
+    let imageUrl: string;
+    try {
+      const source = await readImageSource(args.image_path);
+      if (isPdf(source.buffer)) {
+        throw new Error('Object detection needs an image, not a PDF');
+      }
+      const pages = await imagePages(source.buffer);
+      page = pages.pages[0];
+      totalPages = pages.totalPages;
+      size = await imageSize(page);
+      region = args.crop
+        ? resolveCrop(args.crop, size.width, size.height)
+        : { left: 0, top: 0, width: size.width, height: size.height };
+      imageUrl = (await prepareImage(page, { detail: args.detail || 'high', crop: args.crop })).url;
+    } catch (error: any) {
+      throw new McpError(ErrorCode.InvalidParams, `Failed to load image: ${error.message}`);
+    }
+
+    // PII in the labels and instructions is masked before it is sent or
+    // cached; the labels in the schema are masked the same way
+    const redactor = createRedactor(args);
+    const outgoing = redactor
+      ? {
+          ...args,
+          labels: args.labels?.map((label) => redactor.redactText(label)),
+          instructions: args.instructions && redactor.redactText(args.instructions),
+        }
+      : args;
+
+    const model = args.model || defaultModel || DEFAULT_FREE_MODEL;
+    const samplingParams = { temperature: 0, seed: args.seed };
+    const chain = await resolveVisionModelChain(openai, model, args.models, samplingParams);
+    const responseFormat = detectionFormat(maxObjects, outgoing.labels);
+    const messages: ChatCompletionMessageParam[] = [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: formatDetectionPrompt(outgoing, maxObjects) },
+          { type: 'image_url', image_url: { url: imageUrl, detail: 'high' } },
+        ],
+      },
+    ];
+
+    let cacheReport: CacheReport | undefined;
+    const attempt = async (candidate: string, fallbacks: string[]) => {
+      const complete = async (conversation: ChatCompletionMessageParam[]) => {
+        const params = {
+          model: candidate,
+          // Let OpenRouter route to the fallbacks itself where it can
+          ...(fallbacks.length > 0 && { models: [candidate, ...fallbacks] }),
+          messages: conversation,
+          response_format: responseFormat,
+          ...samplingParams,
+        };
+        const { value: completion, cached, report } = await runCached(
+          responseCache,
+          params,
+          args.cache,
+          () => openai.chat.completions.create({ ...params, ...USAGE_ACCOUNTING })
+        );
+        cacheReport = report;
+        if (!cached) {
+          usage.record(completion.usage, completion.model || candidate, completion.id);
+        }
+        const message = completion.choices[0].message;
+        return { ...splitReasoning(message.content || '', (message as any).reasoning), completion };
+      };
+      return completeWithStructuredOutput(messages, responseFormat, complete);
+    };
+
+    const { result, report } = await runWithModelFallback(chain.models, attempt, {
+      skipped: chain.skipped,
+      answeredModel: ({ result }) => result.completion.model,
+    });
+    // Placeholders in the labels are restored, if configured
+    const replied = (result.data as { objects: ModelDetection[] }).objects;
+    const detections = redactor ? redactor.restore(replied) : replied;
+    const { objects, rejected } = validateDetections(detections, region, args.min_confidence ?? 0);
+
+    const annotated = await annotateImage(
+      page,
+      objects.map((object) => ({
+        label: object.label,
+        caption: `${object.label} ${Math.round(object.confidence * 100)}%`,
+        ...object.box,
+      }))
+    );
+    if (outputPath) {
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await sharp(annotated)
+        .toFormat(OUTPUT_FORMATS[path.extname(outputPath).toLowerCase()])
+        .toFile(outputPath);
+    }
+
+    const detection = {
+      width: size.width,
+      height: size.height,
+      objects,
+      ...(rejected.length > 0 && { rejected }),
+      ...(args.output_path && { annotated_path: args.output_path }),
+    };
+    const content = [
+      {
+        type: 'text' as const,
+        text:
+          (objects.length > 0
+            ? `Found ${objects.length} object(s): ${summarizeLabels(objects)}`
+            : 'No objects found') +
+          `\n\n${JSON.stringify(detection, null, 2)}`,
+      },
+    ];
+    const image =
+      args.return_image === false
+        ? []
+        : [
+            {
+              type: 'image' as const,
+              data: (
+                await sharp(annotated)
+                  .resize(INLINE_IMAGE_DIMENSION, INLINE_IMAGE_DIMENSION, {
+                    fit: 'inside',
+                    withoutEnlargement: true,
+                  })
+                  .jpeg({ quality: INLINE_IMAGE_QUALITY })
+                  .toBuffer()
+              ).toString('base64'),
+              mimeType: 'image/jpeg',
+            },
+          ];
+
+    return {
+      content: [...content, ...image],
+      structuredContent: detection,
+      metadata: {
+        model: result.result.completion.model,
+        ...(totalPages > 1 && { total_pages: totalPages }),
+        ...(report.models.length > 1 && { fallback: report }),
+        ...usage.toMetadata(),
+        ...(cacheReport && { cache: cacheReport }),
+        ...(redactor && { redaction: redactor.report() }),
+      },
+    };
+  } catch (error) {
+    console.error('Error in object detection:', error);
+
+    if (error instanceof McpError) {
+      throw error;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text' as const,
+          text: `Error detecting objects: ${error instanceof Error ? error.message : String(error)}`,
+        },
+      ],
+      isError: true,
+      metadata: {
+        ...(usage.hasCalls && usage.toMetadata()),
+      },
+    };
+  }
+}
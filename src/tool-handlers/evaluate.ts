@@ -0,0 +1,549 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import OpenAI from 'openai';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { formatTranscriptLine } from '../utils/compaction.js';
+import { ProgressReporter } from '../utils/progress.js';
+import { Redactor, createRedactor } from '../utils/redaction.js';
+import { resolveImageParts } from '../utils/image-ingestion.js';
+import { resolveAllowedPath } from '../utils/file-access.js';
+import { USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import {
+  ResponseFormat,
+  completeWithStructuredOutput,
+} from '../utils/structured-output.js';
+
+export type EvaluationMode = 'pointwise' | 'pairwise';
+
+export const MAX_EVAL_ITEMS = 500;
+export const MAX_EVAL_CONCURRENCY = 8;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PASS_THRESHOLD = 7;
+
+const DEFAULT_RUBRIC =
+  'Correctness, completeness, clarity, and how closely the answer follows the instructions in the conversation.';
+
+const POINTWISE_PROMPT =
+  'You are an impartial judge grading an answer written by an AI model. Judge it only against the rubric ' +
+  'and, when given, the reference answer; the reference shows what a correct answer contains, not its ' +
+  'required wording. Give a score from 0 to 10 and explain it briefly.';
+
+const PAIRWISE_PROMPT =
+  'You are an impartial judge comparing two answers written by AI models to the same conversation. ' +
+  'Judge them only against the rubric and, when given, the reference answer. Ignore answer length and ' +
+  'which answer comes first. Pick the better answer, or "tie" when neither is better, score both from ' +
+  '0 to 10 and explain the verdict briefly.';
+
+const POINTWISE_FORMAT: ResponseFormat = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'pointwise_evaluation',
+    schema: {
+      type: 'object',
+      properties: {
+        score: { type: 'number', minimum: 0, maximum: 10 },
+        rationale: { type: 'string' },
+      },
+      required: ['score', 'rationale'],
+      additionalProperties: false,
+    },
+  },
+};
+
+const PAIRWISE_FORMAT: ResponseFormat = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'pairwise_evaluation',
+    schema: {
+      type: 'object',
+      properties: {
+        winner: { type: 'string', enum: ['A', 'B', 'tie'] },
+        score_a: { type: 'number', minimum: 0, maximum: 10 },
+        score_b: { type: 'number', minimum: 0, maximum: 10 },
+        rationale: { type: 'string' },
+      },
+      required: ['winner', 'score_a', 'score_b', 'rationale'],
+      additionalProperties: false,
+    },
+  },
+};
+
+/**
+ * One case to evaluate: the conversation (a prompt or messages), the
+ * answer(s) to judge and an optional reference answer. Missing answers are
+ * generated with `model` (pointwise and pairwise B) or `baseline_model`
+ * (pairwise A).
+ */
+export interface EvaluationItem {
+  id?: string;
+  prompt?: string;
+  messages?: ChatCompletionMessageParam[];
+  output?: string;
+  output_a?: string;
+  output_b?: string;
+  reference?: string;
+  rubric?: string;
+}
+
+export interface EvaluateToolRequest {
+  mode?: EvaluationMode;
+  items?: EvaluationItem[];
+  dataset_path?: string;
+  judge_model?: string;
+  rubric?: string;
+  model?: string;
+  baseline_model?: string;
+  pass_threshold?: number;
+  swap_positions?: boolean;
+  concurrency?: number;
+  output_path?: string;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+}
+
+interface ItemResult {
+  index: number;
+  id?: string;
+  status: 'ok' | 'error';
+  error?: string;
+  // Pointwise
+  score?: number;
+  passed?: boolean;
+  // Pairwise, in the item's A/B terms after undoing any swap
+  winner?: 'a' | 'b' | 'tie';
+  score_a?: number;
+  score_b?: number;
+  rationale?: string;
+  // Answers generated for the item, keyed like the item's fields
+  generated?: Record<string, string>;
+}
+
+interface PointwiseVerdict {
+  score: number;
+  rationale: string;
+}
+
+interface PairwiseVerdict {
+  winner: 'A' | 'B' | 'tie';
+  score_a: number;
+  score_b: number;
+  rationale: string;
+}
+
+/**
+ * Read a dataset of evaluation items: a JSONL file with one item per line,
+ * or a JSON file holding an array of items
+ */
+async function loadDataset(datasetPath: string): Promise<EvaluationItem[]> {
+  if (!path.isAbsolute(datasetPath)) {
+    throw new Error(`dataset_path must be absolute: ${datasetPath}`);
+  }
+
+  let content: string;
+  const realPath = await resolveAllowedPath(datasetPath);
+  try {
+    content = await fs.readFile(realPath, 'utf-8');
+  } catch (error: any) {
+    throw new Error(`Failed to read ${datasetPath}: ${error.message}`);
+  }
+
+  if (content.trimStart().startsWith('[')) {
+    try {
+      return JSON.parse(content) as EvaluationItem[];
+    } catch (error: any) {
+      throw new Error(`Invalid JSON in ${datasetPath}: ${error.message}`);
+    }
+  }
+
+  return content.split(/\r?\n/).flatMap((line, index) => {
+    if (line.trim() === '') return [];
+    try {
+      return [JSON.parse(line) as EvaluationItem];
+    } catch (error: any) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${datasetPath}: ${error.message}`);
+    }
+  });
+}
+
+function itemMessages(item: EvaluationItem): ChatCompletionMessageParam[] {
+  if (item.messages && item.messages.length > 0) return item.messages;
+  if (item.prompt) return [{ role: 'user', content: item.prompt }];
+  throw new Error('Item needs a prompt or messages');
+}
+
+/**
+ * Generate a missing answer with the given model
+ */
+async function generateOutput(
+  openai: OpenAI,
+  model: string,
+  messages: ChatCompletionMessageParam[],
+  usage: UsageTracker
+): Promise<string> {
+  const completion = await openai.chat.completions.create({
+    model,
+    messages,
+    ...USAGE_ACCOUNTING,
+  });
+  usage.record(completion.usage, completion.model || model, completion.id);
+  return completion.choices[0]?.message?.content || '';
+}
+
+/**
+ * Ask the judge for a verdict in the given format. Images from the
+ * conversation are passed along so answers about them can be checked.
+ */
+async function askJudge<T>(
+  openai: OpenAI,
+  judgeModel: string,
+  systemPrompt: string,
+  format: ResponseFormat,
+  messages: ChatCompletionMessageParam[],
+  sections: string[],
+  usage: UsageTracker
+): Promise<T> {
+  const images = messages.flatMap((message) =>
+    Array.isArray(message.content)
+      ? (message.content as any[]).filter((part) => part.type === 'image_url')
+      : []
+  );
+
+  const judgeMessages: ChatCompletionMessageParam[] = [
+    { role: 'system', content: systemPrompt },
+    {
+      role: 'user',
+      content: [
+        {
+          type: 'text',
+          text: ['## Conversation', messages.map(formatTranscriptLine).join('\n'), ...sections].join(
+            '\n\n'
+          ),
+        },
+        ...images,
+      ],
+    },
+  ];
+
+  const { data } = await completeWithStructuredOutput(judgeMessages, format, async (conversation) => {
+    const completion = await openai.chat.completions.create({
+      model: judgeModel,
+      messages: conversation,
+      response_format: format,
+      temperature: 0,
+      ...USAGE_ACCOUNTING,
+    });
+    usage.record(completion.usage, completion.model || judgeModel, completion.id);
+    return { text: completion.choices[0]?.message?.content || '' };
+  });
+  return data as T;
+}
+
+/**
+ * Generate any missing answers for an item and have the judge score it
+ */
+async function evaluateItem(
+  openai: OpenAI,
+  item: EvaluationItem,
+  index: number,
+  args: EvaluateToolRequest & { mode: EvaluationMode; judge_model: string },
+  redactor: Redactor | undefined,
+  usage: UsageTracker
+): Promise<ItemResult> {
+  const result: ItemResult = { index, id: item.id, status: 'ok' };
+  try {
+    const loaded = await resolveImageParts(itemMessages(item));
+    const messages = redactor ? redactor.redactMessages(loaded) : loaded;
+    const redact = (text: string) => (redactor ? redactor.redactText(text) : text);
+    const generated: Record<string, string> = {};
+
+    const answer = async (field: 'output' | 'output_a' | 'output_b', model?: string) => {
+      const given = item[field];
+      if (given !== undefined) return redact(given);
+      if (!model) {
+        throw new Error(`Item has no ${field} and no model is set to generate it`);
+      }
+      generated[field] = await generateOutput(openai, model, messages, usage);
+      return generated[field];
+    };
+
+    const rubric = item.rubric || args.rubric || DEFAULT_RUBRIC;
+    const criteria = [
+      '## Rubric',
+      rubric,
+      ...(item.reference ? ['## Reference answer', redact(item.reference)] : []),
+    ];
+
+    if (args.mode === 'pointwise') {
+      const output = await answer('output', args.model);
+      const verdict = await askJudge<PointwiseVerdict>(
+        openai,
+        args.judge_model,
+        POINTWISE_PROMPT,
+        POINTWISE_FORMAT,
+        messages,
+        [...criteria, '## Answer', output],
+        usage
+      );
+      result.score = verdict.score;
+      result.passed = verdict.score >= (args.pass_threshold ?? DEFAULT_PASS_THRESHOLD);
+      result.rationale = verdict.rationale;
+    } else {
+      const [outputA, outputB] = await Promise.all([
+        answer('output_a', args.baseline_model),
+        answer('output_b', args.model),
+      ]);
+      const judge = (first: string, second: string) =>
+        askJudge<PairwiseVerdict>(
+          openai,
+          args.judge_model,
+          PAIRWISE_PROMPT,
+          PAIRWISE_FORMAT,
+          messages,
+          [...criteria, '## Answer A', first, '## Answer B', second],
+          usage
+        );
+
+      const verdict = await judge(outputA, outputB);
+      let winner = verdict.winner === 'tie' ? 'tie' : verdict.winner === 'A' ? 'a' : 'b';
+      let scoreA = verdict.score_a;
+      let scoreB = verdict.score_b;
+      let rationale = verdict.rationale;
+
+      // Judge again with the answers swapped; a verdict that flips with the
+      // order is position bias and counts as a tie
+      if (args.swap_positions) {
+        const swapped = await judge(outputB, outputA);
+        const swappedWinner = swapped.winner === 'tie' ? 'tie' : swapped.winner === 'A' ? 'b' : 'a';
+        if (swappedWinner !== winner) winner = 'tie';
+        scoreA = (scoreA + swapped.score_b) / 2;
+        scoreB = (scoreB + swapped.score_a) / 2;
+        rationale = `${rationale}\n\n(Swapped order) ${swapped.rationale}`;
+      }
+
+      result.winner = winner as ItemResult['winner'];
+      result.score_a = scoreA;
+      result.score_b = scoreB;
+      result.rationale = rationale;
+    }
+
+    if (Object.keys(generated).length > 0) {
+      result.generated = generated;
+    }
+  } catch (error: any) {
+    result.status = 'error';
+    result.error = error.message || String(error);
+  }
+  return result;
+}
+
+const mean = (values: number[]) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const round = (value: number | null, digits = 2) =>
+  value === null ? null : Number(value.toFixed(digits));
+
+/**
+ * Aggregate the item results into dataset-level scores
+ */
+function summarize(results: ItemResult[], args: EvaluateToolRequest & { mode: EvaluationMode }) {
+  const judged = results.filter((result) => result.status === 'ok');
+  const base = {
+    mode: args.mode,
+    items: results.length,
+    judged: judged.length,
+    errors: results.length - judged.length,
+  };
+  // Models are only reported when they wrote some of the answers
+  const generatedBy = (field: string, model?: string) =>
+    model && results.some((result) => result.generated?.[field] !== undefined) ? model : undefined;
+
+  if (args.mode === 'pointwise') {
+    const scores = judged.map((result) => result.score as number);
+    const threshold = args.pass_threshold ?? DEFAULT_PASS_THRESHOLD;
+    return {
+      ...base,
+      ...(generatedBy('output', args.model) && { model: args.model }),
+      mean_score: round(mean(scores)),
+      min_score: scores.length > 0 ? Math.min(...scores) : null,
+      max_score: scores.length > 0 ? Math.max(...scores) : null,
+      pass_threshold: threshold,
+      pass_rate: round(
+        judged.length > 0 ? judged.filter((result) => result.passed).length / judged.length : null,
+        3
+      ),
+    };
+  }
+
+  const winsA = judged.filter((result) => result.winner === 'a').length;
+  const winsB = judged.filter((result) => result.winner === 'b').length;
+  const ties = judged.length - winsA - winsB;
+  return {
+    ...base,
+    ...(generatedBy('output_a', args.baseline_model) && { model_a: args.baseline_model }),
+    ...(generatedBy('output_b', args.model) && { model_b: args.model }),
+    wins_a: winsA,
+    wins_b: winsB,
+    ties,
+    // Ties count as half a win
+    win_rate_b: round(judged.length > 0 ? (winsB + ties / 2) / judged.length : null, 3),
+    mean_score_a: round(mean(judged.map((result) => result.score_a as number))),
+    mean_score_b: round(mean(judged.map((result) => result.score_b as number))),
+  };
+}
+
+function formatCell(value: unknown): string {
+  if (value === null || value === undefined) return '-';
+  return String(value).replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Render the aggregate scores followed by a row per item
+ */
+function formatEvaluationMarkdown(summary: Record<string, unknown>, results: ItemResult[]): string {
+  const summaryLines = Object.entries(summary).map(([key, value]) => `- **${key}:** ${formatCell(value)}`);
+
+  const pointwise = summary.mode === 'pointwise';
+  const header = pointwise
+    ? '| Item | Score | Passed | Rationale |\n|---|---|---|---|'
+    : '| Item | Winner | Score A | Score B | Rationale |\n|---|---|---|---|---|';
+  const rows = results.map((result) => {
+    const item = result.id ?? String(result.index + 1);
+    if (result.status === 'error') {
+      return pointwise
+        ? `| ${formatCell(item)} | - | - | **Error:** ${formatCell(result.error)} |`
+        : `| ${formatCell(item)} | - | - | - | **Error:** ${formatCell(result.error)} |`;
+    }
+    const cells = pointwise
+      ? [item, result.score, result.passed ? 'yes' : 'no', result.rationale]
+      : [item, result.winner, round(result.score_a ?? null, 1), round(result.score_b ?? null, 1), result.rationale];
+    return `| ${cells.map(formatCell).join(' | ')} |`;
+  });
+
+  return [summaryLines.join('\n'), `${header}\n${rows.join('\n')}`].join('\n\n');
+}
+
+/**
+ * Score answers with a judge model, one by one (pointwise) or against a
+ * baseline (pairwise), and aggregate the scores across the dataset
+ */
+export async function handleEvaluate(
+  request: { params: { arguments: EvaluateToolRequest } },
+  openai: OpenAI,
+  defaultModel: string,
+  onProgress?: ProgressReporter
+) {
+  const args = request.params.arguments;
+  const mode = args.mode || 'pointwise';
+  const judgeModel = args.judge_model || process.env.OPENROUTER_JUDGE_MODEL;
+
+  if (!judgeModel) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Provide judge_model or set OPENROUTER_JUDGE_MODEL.',
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  if (!args.items?.length && !args.dataset_path) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Provide items or a dataset_path to evaluate.',
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  try {
+    const items = [
+      ...(args.items || []),
+      ...(args.dataset_path ? await loadDataset(args.dataset_path) : []),
+    ];
+    if (items.length === 0) {
+      throw new Error('The dataset contains no items');
+    }
+    if (items.length > MAX_EVAL_ITEMS) {
+      throw new Error(
+        `${items.length} items exceed the limit of ${MAX_EVAL_ITEMS}; use the batch tools for larger sets`
+      );
+    }
+
+    // Answers are generated with the server's default model unless another
+    // is named, so switching OPENROUTER_DEFAULT_MODEL can be scored as is
+    const settings = {
+      ...args,
+      mode,
+      judge_model: judgeModel,
+      model: args.model || defaultModel,
+    };
+
+    // One redactor for the run, so a value keeps its placeholder across items
+    const redactor = createRedactor(args);
+    const usage = new UsageTracker();
+    let finished = 0;
+    const results = await mapWithConcurrency(
+      items,
+      args.concurrency || DEFAULT_CONCURRENCY,
+      async (item, index) => {
+        const result = await evaluateItem(openai, item, index, settings, redactor, usage);
+        finished++;
+        await onProgress?.(`Evaluated ${finished} of ${items.length} items`, finished);
+        return result;
+      }
+    );
+
+    const restored = redactor ? redactor.restore(results) : results;
+    const summary = {
+      judge_model: judgeModel,
+      ...summarize(restored, settings),
+    };
+
+    if (args.output_path) {
+      if (!path.isAbsolute(args.output_path)) {
+        throw new Error(`output_path must be absolute: ${args.output_path}`);
+      }
+      const outputPath = await resolveAllowedPath(args.output_path, 'write');
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(
+        outputPath,
+        restored.map((result) => JSON.stringify(result)).join('\n') + '\n',
+        'utf-8'
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatEvaluationMarkdown(summary, restored),
+        },
+      ],
+      structuredContent: { summary, results: restored },
+      metadata: {
+        ...usage.toMetadata(),
+        ...(redactor && { redaction: redactor.report() }),
+      },
+      ...(summary.judged === 0 && { isError: true }),
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error evaluating outputs: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,485 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import OpenAI from 'openai';
+import {
+  ChatCompletionContentPart,
+  ChatCompletionMessageParam,
+} from 'openai/resources/chat/completions.js';
+import { resolveVisionModelChain } from './multi-image-analysis.js';
+import { FallbackReport, runWithModelFallback } from '../utils/model-fallback.js';
+import { USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import { splitReasoning } from '../utils/reasoning.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { CacheMode, CacheReport, ResponseCache, runCached } from '../response-cache.js';
+import { PdfEngine, fileParserPlugins } from '../utils/documents.js';
+import { isPdf } from '../utils/media-source.js';
+import { createRedactor } from '../utils/redaction.js';
+import {
+  CropRegion,
+  ImageTile,
+  imagePages,
+  imageSize,
+  prepareImage,
+  readImageSource,
+  resolveCrop,
+  tileImage,
+} from '../utils/image-ingestion.js';
+import {
+  ResponseFormat,
+  completeWithStructuredOutput,
+  isJsonResponseFormat,
+} from '../utils/structured-output.js';
+
+// Default model for text extraction
+const DEFAULT_FREE_MODEL = 'qwen/qwen2.5-vl-32b-instruct:free';
+
+// Images with a longer side are tiled unless `tile` says otherwise
+export const AUTO_TILE_DIMENSION = 2048;
+const TILE_CONCURRENCY = 4;
+
+// Blocks from neighbouring tiles overlapping this much are the same block
+const DUPLICATE_BLOCK_OVERLAP = 0.5;
+
+/**
+ * Output layout: plain text, markdown with headings and tables, or JSON
+ * blocks with bounding boxes in reading order
+ */
+export type TextLayout = 'text' | 'markdown' | 'blocks';
+
+export type BlockType = 'heading' | 'paragraph' | 'list' | 'table' | 'caption' | 'other';
+
+export interface ExtractTextToolRequest {
+  image_path: string;
+  format?: TextLayout;
+  language?: string;
+  crop?: CropRegion;
+  tile?: boolean;
+  model?: string;
+  models?: string[];
+  pdf_engine?: PdfEngine;
+  seed?: number;
+  cache?: CacheMode;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+}
+
+/**
+ * A block of text with its approximate box, in pixels of the page
+ */
+export interface TextBlock {
+  order: number;
+  type: BlockType;
+  text: string;
+  bbox: { x: number; y: number; width: number; height: number };
+}
+
+interface PageResult {
+  page: number;
+  width?: number;
+  height?: number;
+  tiles?: number;
+  text?: string;
+  blocks?: TextBlock[];
+}
+
+// Blocks as the model reports them, with boxes as fractions of the image
+interface ModelBlock {
+  type: BlockType;
+  text: string;
+  bbox: [number, number, number, number];
+}
+
+const BLOCKS_FORMAT: ResponseFormat = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'text_blocks',
+    schema: {
+      type: 'object',
+      properties: {
+        blocks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['heading', 'paragraph', 'list', 'table', 'caption', 'other'],
+              },
+              text: { type: 'string' },
+              bbox: {
+                type: 'array',
+                items: { type: 'number', minimum: 0, maximum: 1 },
+                minItems: 4,
+                maxItems: 4,
+              },
+            },
+            required: ['type', 'text', 'bbox'],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['blocks'],
+      additionalProperties: false,
+    },
+  },
+};
+
+const LAYOUT_INSTRUCTIONS: Record<TextLayout, string> = {
+  text:
+    'Return the text as plain text in reading order, one line per printed line, with a blank line between blocks. ' +
+    'Do not add markdown or any commentary.',
+  markdown:
+    'Return the text as markdown in reading order: headings as #-headings, lists as lists and tables as markdown ' +
+    'tables with every row and column kept. Do not add any commentary.',
+  blocks:
+    'Return the text as JSON blocks in reading order. Each block is a heading, paragraph, list, table (rows on ' +
+    'separate lines, cells separated by " | "), caption or other text, with its approximate bounding box as ' +
+    '[x, y, width, height] fractions (0-1) of the image.',
+};
+
+/**
+ * The transcription prompt for one image or tile
+ */
+function formatExtractionPrompt(layout: TextLayout, language?: string, tileNote?: string): string {
+  return [
+    'Transcribe all text in this image exactly as written. Keep the original wording, spelling, numbers, ' +
+      'punctuation and line breaks; do not translate, correct, summarize or describe the image. ' +
+      'Mark text you cannot read as [illegible]. If there is no text, return nothing.',
+    ...(language ? [`The text is mostly in ${language}.`] : []),
+    ...(tileNote ? [tileNote] : []),
+    LAYOUT_INSTRUCTIONS[layout],
+  ].join('\n\n');
+}
+
+function formatTileNote(tile: ImageTile, rows: number, columns: number): string {
+  return (
+    `This is tile row ${tile.row + 1} of ${rows}, column ${tile.column + 1} of ${columns} of a larger page. ` +
+    'Text cut off at the tile edges continues in the neighbouring tiles; transcribe only what is visible here.'
+  );
+}
+
+/**
+ * Ask for one transcription of a page from the transcriptions of its tiles
+ */
+function formatMergePrompt(layout: TextLayout, tiles: ImageTile[], texts: string[]): string {
+  return [
+    'A page was split into overlapping tiles and the text of each tile was transcribed separately. ' +
+      'Merge the tile transcriptions below into one transcription of the whole page, in reading order. ' +
+      'Tiles are listed left to right, top to bottom. Text near tile edges appears in more than one tile; ' +
+      'keep it once. Rejoin lines, paragraphs and table rows split across tiles. ' +
+      'Do not change, add or leave out any other text.',
+    LAYOUT_INSTRUCTIONS[layout],
+    ...tiles.map(
+      (tile, index) => `### Tile row ${tile.row + 1}, column ${tile.column + 1}\n\n${texts[index]}`
+    ),
+  ].join('\n\n');
+}
+
+function normalizeText(text: string): string {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Overlap of two boxes as a fraction of the smaller one
+ */
+function boxOverlap(a: TextBlock['bbox'], b: TextBlock['bbox']): number {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  const smaller = Math.min(a.width * a.height, b.width * b.height);
+  return smaller > 0 ? (width * height) / smaller : 0;
+}
+
+/**
+ * Map blocks reported for an image to pixels of the page, given the
+ * region of the page the image shows
+ */
+function toPageBlocks(
+  blocks: ModelBlock[],
+  region: { left: number; top: number; width: number; height: number }
+): Omit<TextBlock, 'order'>[] {
+  return blocks.map((block) => {
+    const [x, y, width, height] = block.bbox;
+    return {
+      type: block.type,
+      text: block.text,
+      bbox: {
+        x: Math.round(region.left + x * region.width),
+        y: Math.round(region.top + y * region.height),
+        width: Math.round(width * region.width),
+        height: Math.round(height * region.height),
+      },
+    };
+  });
+}
+
+/**
+ * Join the blocks of all tiles in tile order, dropping blocks that repeat
+ * one already seen in an overlapping tile
+ */
+function mergeTileBlocks(tileBlocks: Omit<TextBlock, 'order'>[][]): TextBlock[] {
+  const merged: Omit<TextBlock, 'order'>[] = [];
+  for (const blocks of tileBlocks) {
+    for (const block of blocks) {
+      const text = normalizeText(block.text);
+      const duplicate = merged.find((seen) => {
+        const seenText = normalizeText(seen.text);
+        return (
+          (seenText.includes(text) || text.includes(seenText)) &&
+          boxOverlap(seen.bbox, block.bbox) >= DUPLICATE_BLOCK_OVERLAP
+        );
+      });
+      if (!duplicate) {
+        merged.push(block);
+      } else if (block.text.length > duplicate.text.length) {
+        // Keep the more complete copy of a block cut by a tile edge
+        Object.assign(duplicate, block);
+      }
+    }
+  }
+  return merged.map((block, index) => ({ order: index + 1, ...block }));
+}
+
+function formatPages(pages: PageResult[], layout: TextLayout): string {
+  if (layout === 'blocks') {
+    return JSON.stringify({ pages }, null, 2);
+  }
+  if (pages.length === 1) {
+    return pages[0].text || '';
+  }
+  return pages.map((page) => `--- Page ${page.page} ---\n\n${page.text || ''}`).join('\n\n');
+}
+
+/**
+ * Transcribe the text of an image, multi-page TIFF or PDF as plain text,
+ * markdown or JSON blocks with bounding boxes. Large images are tiled so
+ * small print stays legible.
+ */
+export async function handleExtractText(
+  request: { params: { arguments: ExtractTextToolRequest } },
+  openai: OpenAI,
+  defaultModel?: string,
+  responseCache?: ResponseCache
+) {
+  const args = request.params.arguments;
+  const layout = args.format || 'markdown';
+  const usage = new UsageTracker();
+
+  try {
+    if (!args.image_path) {
+      throw new McpError(ErrorCode.InvalidParams, 'An image path, URL, or base64 data is required');
+    }
+
+    let source: { buffer: Buffer; filename?: string };
+    let pages: Buffer[] = [];
+    let sizes: { width: number; height: number }[] = [];
+    let regions: { left: number; top: number; width: number; height: number }[] = [];
+    let totalPages = 1;
+    try {
+      source = await readImageSource(args.image_path);
+      if (!isPdf(source.buffer)) {
+        ({ pages, totalPages } = await imagePages(source.buffer));
+        sizes = await Promise.all(pages.map((page) => imageSize(page)));
+        regions = sizes.map(({ width, height }) =>
+          args.crop ? resolveCrop(args.crop, width, height) : { left: 0, top: 0, width, height }
+        );
+      }
+    } catch (error: any) {
+      throw new McpError(ErrorCode.InvalidParams, `Failed to load image: ${error.message}`);
+    }
+
+    // PII in the language hint and in tile transcriptions sent back for
+    // merging is masked before it is sent or cached
+    const redactor = createRedactor(args);
+    const language = args.language && redactor ? redactor.redactText(args.language) : args.language;
+
+    // Transcription is deterministic, so replies can be cached
+    const model = args.model || defaultModel || DEFAULT_FREE_MODEL;
+    const samplingParams = { temperature: 0, seed: args.seed };
+    const chain = await resolveVisionModelChain(openai, model, args.models, samplingParams);
+
+    let cacheReport: CacheReport | undefined;
+    let answeredBy: string | undefined;
+    let fallbackReport: FallbackReport | undefined;
+    const transcribe = async (
+      content: ChatCompletionContentPart[] | string,
+      responseFormat?: ResponseFormat,
+      hasFiles = false
+    ): Promise<{ text: string; data?: unknown }> => {
+      const messages: ChatCompletionMessageParam[] = [{ role: 'user', content } as ChatCompletionMessageParam];
+      const attempt = async (candidate: string, fallbacks: string[]) => {
+        const complete = async (conversation: ChatCompletionMessageParam[]) => {
+          const params = {
+            model: candidate,
+            // Let OpenRouter route to the fallbacks itself where it can
+            ...(fallbacks.length > 0 && { models: [candidate, ...fallbacks] }),
+            messages: conversation,
+            response_format: responseFormat,
+            ...samplingParams,
+            ...(hasFiles && fileParserPlugins(args.pdf_engine)),
+          };
+          const { value: completion, cached, report } = await runCached(
+            responseCache,
+            params,
+            args.cache,
+            () => openai.chat.completions.create({ ...params, ...USAGE_ACCOUNTING })
+          );
+          cacheReport = report;
+          if (!cached) {
+            usage.record(completion.usage, completion.model || candidate, completion.id);
+          }
+          const message = completion.choices[0].message;
+          return { ...splitReasoning(message.content || '', (message as any).reasoning), completion };
+        };
+
+        return isJsonResponseFormat(responseFormat)
+          ? await completeWithStructuredOutput(messages, responseFormat, complete)
+          : { result: await complete(messages), data: undefined };
+      };
+
+      const { result, report } = await runWithModelFallback(chain.models, attempt, {
+        skipped: chain.skipped,
+        answeredModel: ({ result }) => result.completion.model,
+      });
+      answeredBy = result.result.completion.model;
+      fallbackReport = report;
+      return { text: result.result.text.trim(), data: result.data };
+    };
+
+    const blocksFormat = layout === 'blocks' ? BLOCKS_FORMAT : undefined;
+    const results: PageResult[] = [];
+
+    if (isPdf(source.buffer)) {
+      // PDFs go to OpenRouter as a file; page boxes are not known
+      const { text, data } = await transcribe(
+        [
+          { type: 'text', text: formatExtractionPrompt(layout, language) },
+          {
+            type: 'file',
+            file: {
+              filename: source.filename || 'document.pdf',
+              file_data: `data:application/pdf;base64,${source.buffer.toString('base64')}`,
+            },
+          },
+        ],
+        blocksFormat,
+        true
+      );
+      results.push(
+        blocksFormat
+          ? {
+              page: 1,
+              blocks: ((data as { blocks: ModelBlock[] }).blocks || []).map((block, index) => ({
+                order: index + 1,
+                type: block.type,
+                text: block.text,
+                bbox: { x: block.bbox[0], y: block.bbox[1], width: block.bbox[2], height: block.bbox[3] },
+              })),
+            }
+          : { page: 1, text }
+      );
+    } else {
+      for (const [index, page] of pages.entries()) {
+        const size = sizes[index];
+        const region = regions[index];
+        const result: PageResult = { page: index + 1, width: size.width, height: size.height };
+
+        if (args.tile ?? Math.max(region.width, region.height) > AUTO_TILE_DIMENSION) {
+          const tiled = await tileImage(page, { crop: args.crop });
+          result.tiles = tiled.tiles.length;
+          const tileResults = await mapWithConcurrency(tiled.tiles, TILE_CONCURRENCY, (tile) =>
+            transcribe(
+              [
+                {
+                  type: 'text',
+                  text: formatExtractionPrompt(
+                    layout,
+                    language,
+                    formatTileNote(tile, tiled.rows, tiled.columns)
+                  ),
+                },
+                { type: 'image_url', image_url: { url: tile.image.url, detail: 'high' } },
+              ],
+              blocksFormat
+            )
+          );
+
+          if (blocksFormat) {
+            result.blocks = mergeTileBlocks(
+              tileResults.map(({ data }, tileIndex) =>
+                toPageBlocks((data as { blocks: ModelBlock[] }).blocks || [], tiled.tiles[tileIndex].region)
+              )
+            );
+          } else if (tiled.tiles.length === 1) {
+            result.text = tileResults[0].text;
+          } else {
+            const mergePrompt = formatMergePrompt(
+              layout,
+              tiled.tiles,
+              tileResults.map(({ text }) => text)
+            );
+            result.text = (await transcribe(redactor ? redactor.redactText(mergePrompt) : mergePrompt)).text;
+          }
+        } else {
+          const image = await prepareImage(page, { detail: 'high', crop: args.crop });
+          const { text, data } = await transcribe(
+            [
+              { type: 'text', text: formatExtractionPrompt(layout, language) },
+              { type: 'image_url', image_url: { url: image.url, detail: 'high' } },
+            ],
+            blocksFormat
+          );
+          if (blocksFormat) {
+            result.blocks = toPageBlocks((data as { blocks: ModelBlock[] }).blocks || [], region).map(
+              (block, blockIndex) => ({ order: blockIndex + 1, ...block })
+            );
+          } else {
+            result.text = text;
+          }
+        }
+        results.push(result);
+      }
+    }
+
+    // Placeholders in the transcription are restored, if configured
+    const output = redactor ? redactor.restore(results) : results;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatPages(output, layout),
+        },
+      ],
+      ...(blocksFormat && { structuredContent: { pages: output } }),
+      metadata: {
+        model: answeredBy,
+        format: layout,
+        pages: output.length,
+        ...(totalPages > output.length && { total_pages: totalPages }),
+        ...(fallbackReport && fallbackReport.models.length > 1 && { fallback: fallbackReport }),
+        ...usage.toMetadata(),
+        ...(cacheReport && { cache: cacheReport }),
+        ...(redactor && { redaction: redactor.report() }),
+      },
+    };
+  } catch (error) {
+    console.error('Error in text extraction:', error);
+
+    if (error instanceof McpError) {
+      throw error;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error extracting text: ${error instanceof Error ? error.message : String(error)}`,
+        },
+      ],
+      isError: true,
+      metadata: {
+        ...(usage.hasCalls && usage.toMetadata()),
+      },
+    };
+  }
+}
@@ -1,272 +1,265 @@
-import fetch from 'node-fetch';
-// Remove the sharp import to avoid conflicts with our dynamic import
-// import sharp from 'sharp';
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import OpenAI from 'openai';
-import path from 'path';
-import { promises as fs } from 'fs';
-import { tmpdir } from 'os';
-// Remove uuid import as we'll use a simple random string generator instead
-// import { v4 as uuidv4 } from 'uuid';
-
-// Setup sharp with fallback
-let sharp: any;
-try {
-  sharp = require('sharp');
-} catch (e) {
-  console.error('Warning: sharp module not available, using fallback image processing');
-  // Mock implementation that just passes through the base64 data
-  sharp = (buffer: Buffer) => ({
-    metadata: async () => ({ width: 800, height: 600 }),
-    resize: () => ({
-      jpeg: () => ({
-        toBuffer: async () => buffer
-      })
-    }),
-    jpeg: () => ({
-      toBuffer: async () => buffer
-    })
-  });
-}
+import {
+  ChatCompletionContentPart,
+  ChatCompletionContentPartImage,
+  ChatCompletionMessageParam,
+} from 'openai/resources/chat/completions.js';
+import {
+  ResponseFormat,
+  checkResponseFormat,
+  completeWithStructuredOutput,
+  isJsonResponseFormat,
+  toStructuredContent,
+} from '../utils/structured-output.js';
+import { ModelCache } from '../model-cache.js';
+import { CacheMode, CacheReport, ResponseCache, runCached } from '../response-cache.js';
+import { createRedactor } from '../utils/redaction.js';
+import { findCachedModel } from '../utils/context-budget.js';
+import {
+  FallbackReport,
+  SkippedModel,
+  buildModelChain,
+  runWithModelFallback,
+  screenModels,
+} from '../utils/model-fallback.js';
+import { USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import { reasoningContent, splitReasoning } from '../utils/reasoning.js';
+import {
+  ReasoningOptions,
+  SamplingParams,
+  findUnsupportedParams,
+  formatUnsupportedParamsError,
+} from '../utils/sampling.js';
+import { PdfEngine, fileParserPlugins } from '../utils/documents.js';
+import { CropRegion, ImageDetail, loadImageInput } from '../utils/image-ingestion.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getRequestLimits, measureParts, planBatches } from '../utils/image-limits.js';
+import { buildContactSheets } from '../utils/contact-sheet.js';
 
 // Default model for image analysis
 const DEFAULT_FREE_MODEL = 'qwen/qwen2.5-vl-32b-instruct:free';
 
-// Image processing constants
-const MAX_DIMENSION = 800;
-const JPEG_QUALITY = 80;
-const MAX_RETRY_ATTEMPTS = 3;
-const RETRY_DELAY = 1000; // ms
+export const MAX_IMAGE_CONCURRENCY = 8;
+const DEFAULT_CONCURRENCY = 4;
 
-// Simple random ID generator to replace uuid
-function generateRandomId(): string {
-  return Math.random().toString(36).substring(2, 15) + 
-         Math.random().toString(36).substring(2, 15);
-}
+// Room left in each batch for the note saying which images it holds
+const BATCH_NOTE_TOKENS = 200;
+
+const CONTACT_SHEET_NOTE =
+  'Some images are shown together on contact sheets: grids of cells, each captioned with its image number. ' +
+  'Treat every cell as a separate image.';
+
+/**
+ * combined sends every image in one request; per_image runs the prompt once
+ * per image; map_reduce does the same and then combines the answers
+ */
+export type MultiImageMode = 'combined' | 'per_image' | 'map_reduce';
 
 export interface MultiImageAnalysisToolRequest {
   images: Array<{
     url: string;
     alt?: string;
+    crop?: CropRegion;
   }>;
   prompt: string;
+  mode?: MultiImageMode;
+  concurrency?: number;
+  max_images_per_request?: number;
+  contact_sheet?: boolean;
+  sheet_columns?: number;
+  sheet_cell_size?: number;
   markdown_response?: boolean;
   model?: string;
+  models?: string[];
+  reasoning?: ReasoningOptions;
+  pdf_engine?: PdfEngine;
+  detail?: ImageDetail;
+  temperature?: number;
+  seed?: number;
+  cache?: CacheMode;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+  response_format?: ResponseFormat;
+  repair_attempts?: number;
 }
 
 /**
- * Sleep function for retry mechanisms
+ * The answer for one image in per_image and map_reduce mode
  */
-const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+interface ImageResult {
+  index: number;
+  alt?: string;
+  model?: string;
+  answer?: string;
+  data?: unknown;
+  reasoning?: string;
+  fallback?: FallbackReport;
+  error?: string;
+}
 
 /**
- * Normalizes a file path to be OS-neutral
- * Handles Windows backslashes, drive letters, etc.
+ * Light markdown clean-up of an answer, if requested
  */
-function normalizePath(filePath: string): string {
-  // Skip normalization for URLs and data URLs
-  if (filePath.startsWith('http://') || 
-      filePath.startsWith('https://') || 
-      filePath.startsWith('data:')) {
-    return filePath;
+function formatMarkdown(text: string, markdown?: boolean): string {
+  if (!markdown) {
+    return text;
   }
-  
-  // Handle Windows paths and convert them to a format that's usable
-  // First normalize the path according to the OS
-  let normalized = path.normalize(filePath);
-  
-  // Make sure any Windows backslashes are handled
-  normalized = normalized.replace(/\\/g, '/');
-  
-  return normalized;
+  return text
+    // Add horizontal rule after sections
+    .replace(/^(#{1,3}.*)/gm, '$1\n\n---')
+    // Ensure proper spacing for lists
+    .replace(/^(\s*[-*•]\s.+)$/gm, '\n$1')
+    // Convert plain URLs to markdown links
+    .replace(/(https?:\/\/[^\s]+)/g, '[$1]($1)');
 }
 
 /**
- * Get MIME type from file extension or data URL
+ * Turn a reply into the tool result: JSON for structured output, otherwise
+ * the text, with the reasoning trace in its own block after the answer
  */
-function getMimeType(url: string): string {
-  if (url.startsWith('data:')) {
-    const match = url.match(/^data:([^;]+);/);
-    return match ? match[1] : 'application/octet-stream';
-  }
-  
-  const extension = path.extname(url.split('?')[0]).toLowerCase();
-  
-  switch (extension) {
-    case '.png': return 'image/png';
-    case '.jpg':
-    case '.jpeg': return 'image/jpeg';
-    case '.webp': return 'image/webp';
-    case '.gif': return 'image/gif';
-    case '.bmp': return 'image/bmp';
-    case '.svg': return 'image/svg+xml';
-    default: return 'application/octet-stream';
+function formatReply(
+  reply: { text: string; reasoning: string; data?: unknown; completion: { usage?: any } },
+  markdown: boolean | undefined,
+  metadata: Record<string, unknown>
+) {
+  const reasoningBlocks = reasoningContent(reply.reasoning, reply.completion.usage);
+  if (reply.data !== undefined) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(reply.data, null, 2),
+        },
+        ...reasoningBlocks,
+      ],
+      structuredContent: toStructuredContent(reply.data),
+      metadata
+    };
   }
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatMarkdown(reply.text, markdown),
+      },
+      ...reasoningBlocks,
+    ],
+    metadata
+  };
+}
+
+function formatImageResult(result: ImageResult): string {
+  const heading = `### Image ${result.index}${result.alt ? `: ${result.alt}` : ''}`;
+  const body = result.error
+    ? `Error: ${result.error}`
+    : result.data !== undefined
+      ? JSON.stringify(result.data, null, 2)
+      : result.answer;
+  return `${heading}\n\n${body}`;
 }
 
 /**
- * Fetch image from various sources: data URLs, file paths, or remote URLs
+ * Ask for one answer to the prompt from the answers for each image
  */
-async function fetchImageAsBuffer(url: string): Promise<Buffer> {
-  try {
-    // Handle data URLs
-    if (url.startsWith('data:')) {
-      const matches = url.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-      if (!matches || matches.length !== 3) {
-        throw new Error('Invalid data URL format');
-      }
-      return Buffer.from(matches[2], 'base64');
-    }
-    
-    // Normalize the path before proceeding
-    const normalizedUrl = normalizePath(url);
-    
-    // Handle file URLs with file:// protocol
-    if (normalizedUrl.startsWith('file://')) {
-      const filePath = normalizedUrl.replace('file://', '');
-      try {
-        return await fs.readFile(filePath);
-      } catch (error) {
-        console.error(`Error reading file at ${filePath}:`, error);
-        throw new Error(`Failed to read file: ${filePath}`);
-      }
-    }
-    
-    // Handle absolute and relative file paths
-    if (normalizedUrl.startsWith('/') || normalizedUrl.startsWith('./') || normalizedUrl.startsWith('../') || /^[A-Za-z]:\\/.test(normalizedUrl) || /^[A-Za-z]:\//.test(normalizedUrl)) {
-      try {
-        // Try with normalized path
-        return await fs.readFile(normalizedUrl);
-      } catch (error) {
-        // Fallback to original path if normalized path doesn't work
-        if (normalizedUrl !== url) {
-          try {
-            return await fs.readFile(url);
-          } catch (secondError) {
-            console.error(`Failed to read file with both normalized path (${normalizedUrl}) and original path (${url})`);
-            throw new Error(`Failed to read file: ${url}`);
-          }
-        }
-        console.error(`Error reading file at ${normalizedUrl}:`, error);
-        throw new Error(`Failed to read file: ${normalizedUrl}`);
-      }
-    }
-    
-    // Handle http/https URLs
-    if (normalizedUrl.startsWith('http://') || normalizedUrl.startsWith('https://')) {
-      for (let attempt = 0; attempt < MAX_RETRY_ATTEMPTS; attempt++) {
-        try {
-          // Use AbortController for timeout instead of timeout option
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 15000);
-          
-          const response = await fetch(normalizedUrl, {
-            signal: controller.signal,
-            headers: {
-              'User-Agent': 'OpenRouter-MCP-Server/1.0'
-            }
-          });
-          
-          // Clear the timeout to prevent memory leaks
-          clearTimeout(timeoutId);
-          
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          
-          return Buffer.from(await response.arrayBuffer());
-        } catch (error) {
-          console.error(`Error fetching URL (attempt ${attempt + 1}/${MAX_RETRY_ATTEMPTS}): ${normalizedUrl}`, error);
-          
-          if (attempt < MAX_RETRY_ATTEMPTS - 1) {
-            // Exponential backoff with jitter
-            const delay = RETRY_DELAY * Math.pow(2, attempt) * (0.5 + Math.random() * 0.5);
-            await sleep(delay);
-          } else {
-            throw error;
-          }
-        }
-      }
-    }
-    
-    // If we get here, the URL format is unsupported
-    throw new Error(`Unsupported URL format: ${url}`);
-  } catch (error) {
-    console.error(`Error fetching image from ${url}:`, error);
-    throw error;
-  }
-  
-  // TypeScript requires a return statement here, but this is unreachable
-  return Buffer.from([]);
+function formatReducePrompt(prompt: string, results: Array<ImageResult & { label: string }>): string {
+  return [
+    'Each of the images below was analyzed on its own with the request that follows. ' +
+      'Answer the request for the whole set of images, using only these per-image answers. ' +
+      'Refer to images by their number. Images that could not be analyzed are marked as such.',
+    `Request:\n${prompt}`,
+    ...results.map(result =>
+      `### ${result.label}\n\n${result.error ? '(could not be analyzed)' : result.answer}`
+    ),
+  ].join('\n\n');
 }
 
 /**
- * Fallback image processing when sharp isn't available
+ * Part of a combined request: one labelled image (or its pages), or a
+ * contact sheet of several images
  */
-function processImageFallback(buffer: Buffer, mimeType: string): Promise<string> {
-  return Promise.resolve(buffer.toString('base64'));
+interface RequestUnit {
+  // Positions of the images in the request
+  images: number[];
+  parts: ChatCompletionContentPart[];
+  sheet?: boolean;
 }
 
 /**
- * Process and optimize image for API consumption
+ * Turn the loaded images into request units. With contact_sheet, images
+ * that are a single picture are put on labelled sheets; PDFs and TIFF
+ * pages stay separate. Units are ordered by their first image.
  */
-async function processImage(buffer: Buffer, mimeType: string): Promise<string> {
-  try {
-    if (typeof sharp !== 'function') {
-      console.warn('Using fallback image processing (sharp not available)');
-      return processImageFallback(buffer, mimeType);
-    }
-    
-    // Create a temporary directory for processing if needed
-    const tempDir = path.join(tmpdir(), `openrouter-mcp-${generateRandomId()}`);
-    await fs.mkdir(tempDir, { recursive: true });
-    
-    // Get image info
-    let sharpInstance = sharp(buffer);
-    let metadata;
-    
-    try {
-      metadata = await sharpInstance.metadata();
-    } catch (error) {
-      console.warn('Error getting image metadata, using fallback:', error);
-      return processImageFallback(buffer, mimeType);
-    }
-    
-    // Skip processing for small images
-    if (metadata.width && metadata.height && 
-        metadata.width <= MAX_DIMENSION && 
-        metadata.height <= MAX_DIMENSION &&
-        (mimeType === 'image/jpeg' || mimeType === 'image/webp')) {
-      return buffer.toString('base64');
-    }
-    
-    // Resize larger images
-    if (metadata.width && metadata.height) {
-      const largerDimension = Math.max(metadata.width, metadata.height);
-      if (largerDimension > MAX_DIMENSION) {
-        const resizeOptions = metadata.width > metadata.height
-          ? { width: MAX_DIMENSION }
-          : { height: MAX_DIMENSION };
-        
-        sharpInstance = sharpInstance.resize(resizeOptions);
-      }
-    }
-    
-    try {
-      // Convert to JPEG for consistency and small size
-      const processedBuffer = await sharpInstance
-        .jpeg({ quality: JPEG_QUALITY })
-        .toBuffer();
-      
-      return processedBuffer.toString('base64');
-    } catch (error) {
-      console.warn('Error in final image processing, using fallback:', error);
-      return processImageFallback(buffer, mimeType);
-    }
-  } catch (error) {
-    console.error('Error processing image, using fallback:', error);
-    return processImageFallback(buffer, mimeType);
+async function buildRequestUnits(
+  processedImages: ChatCompletionContentPart[][],
+  imageLabels: string[],
+  args: MultiImageAnalysisToolRequest
+): Promise<RequestUnit[]> {
+  const single = (parts: ChatCompletionContentPart[]) =>
+    parts.length === 1 && parts[0].type === 'image_url' && parts[0].image_url.url.startsWith('data:');
+  const onSheets = args.contact_sheet
+    ? processedImages.map((parts, index) => (single(parts) ? index : -1)).filter(index => index >= 0)
+    : [];
+
+  const units: RequestUnit[] = processedImages
+    .map((parts, index): RequestUnit => ({
+      images: [index],
+      parts: [{ type: 'text', text: imageLabels[index] }, ...parts]
+    }))
+    .filter(unit => !onSheets.includes(unit.images[0]));
+  if (onSheets.length === 0) {
+    return units;
+  }
+
+  const sheets = await buildContactSheets(
+    onSheets.map(index => {
+      const part = processedImages[index][0] as ChatCompletionContentPartImage;
+      return { buffer: Buffer.from(part.image_url.url.split(',')[1], 'base64'), caption: imageLabels[index] };
+    }),
+    { columns: args.sheet_columns, cell_size: args.sheet_cell_size }
+  );
+  for (const [sheetIndex, sheet] of sheets.entries()) {
+    const images = sheet.images.map(position => onSheets[position]);
+    units.push({
+      images,
+      sheet: true,
+      parts: [
+        {
+          type: 'text',
+          text: `Contact sheet ${sheetIndex + 1}: ${images.map(index => `Image ${index + 1}`).join(', ')}`
+        },
+        { type: 'image_url', image_url: { url: sheet.url, detail: 'high' } }
+      ]
+    });
   }
+  return units.sort((a, b) => a.images[0] - b.images[0]);
+}
+
+function formatImageRange(images: number[]): string {
+  return images.map(index => index + 1).join(', ');
+}
+
+function formatBatchNote(images: number[], total: number, batch: number, batches: number): string {
+  return (
+    `This is batch ${batch + 1} of ${batches}: images ${formatImageRange(images)} of ${total}. ` +
+    'The other images are sent separately and the answers are merged afterwards, ' +
+    'so answer for these images only and refer to them by number.'
+  );
+}
+
+/**
+ * Ask for one answer to the prompt from the answers for each batch of images
+ */
+function formatBatchMergePrompt(prompt: string, batches: Array<{ images: number[]; answer: string }>): string {
+  return [
+    'The images for the request below were too many for one request, so they were sent in batches and ' +
+      'each batch was answered on its own. Merge the batch answers into one coherent answer to the request ' +
+      'for all images, as if they had been seen together: combine counts and lists across batches, ' +
+      'compare across batches where the request asks for it, and say everything once. ' +
+      'Refer to images by their number. Use only the batch answers.',
+    `Request:\n${prompt}`,
+    ...batches.map(batch => `### Images ${formatImageRange(batch.images)}\n\n${batch.answer}`),
+  ].join('\n\n');
 }
 
 /**
@@ -340,15 +333,55 @@ export async function findSuitableFreeModel(openai: OpenAI): Promise<string> {
   }
 }
 
+/**
+ * Build the list of vision models to try: the selected model, then the
+ * fallbacks. Models OpenRouter does not list, or that do not support the
+ * requested parameters, are skipped. If no model is left because none were
+ * found, a free vision model is picked automatically and the skips are
+ * reported.
+ */
+export async function resolveVisionModelChain(
+  openai: OpenAI,
+  model: string,
+  fallbacks?: string[],
+  params: SamplingParams = {}
+): Promise<{ models: string[]; skipped: SkippedModel[] }> {
+  const modelCache = ModelCache.getInstance();
+  await modelCache.ensureModels(async () => (await openai.models.list()).data);
+
+  const chain = screenModels(buildModelChain(model, fallbacks), (candidate) => {
+    if (modelCache.isCacheValid() && !findCachedModel(candidate)) {
+      return { reason: 'not_found', error: `Model ${candidate} is not available on OpenRouter` };
+    }
+    const unsupported = findUnsupportedParams(candidate, params);
+    return unsupported.length > 0
+      ? { reason: 'unsupported_parameters', error: formatUnsupportedParamsError(candidate, unsupported) }
+      : undefined;
+  });
+  if (chain.models.length === 0) {
+    const unsupported = chain.skipped.filter((entry) => entry.reason === 'unsupported_parameters');
+    if (unsupported.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, unsupported.map((entry) => entry.error).join('\n'));
+    }
+
+    const autoSelected = await findSuitableFreeModel(openai);
+    console.error(`No requested model is available, falling back to auto-selected ${autoSelected}`);
+    return { models: [autoSelected], skipped: chain.skipped };
+  }
+  return chain;
+}
+
 /**
  * Main handler for multi-image analysis
  */
 export async function handleMultiImageAnalysis(
   request: { params: { arguments: MultiImageAnalysisToolRequest } },
   openai: OpenAI,
-  defaultModel?: string
+  defaultModel?: string,
+  responseCache?: ResponseCache
 ) {
   const args = request.params.arguments;
+  const usage = new UsageTracker();
   
   try {
     // Validate inputs
@@ -359,35 +392,22 @@ export async function handleMultiImageAnalysis(
     if (!args.prompt) {
       throw new McpError(ErrorCode.InvalidParams, 'A prompt for analyzing the images is required');
     }
+    checkResponseFormat(args.response_format);
     
     console.error(`Processing ${args.images.length} images`);
     
-    // Process each image and convert to base64 if needed
+    // PII in the prompt is masked before it is sent or cached
+    const redactor = createRedactor(args);
+    
+    // Load every image through the shared ingestion: formats are sniffed
+    // and converted, PDFs are sent as files and TIFFs split into pages
     const processedImages = await Promise.all(
-      args.images.map(async (image, index) => {
+      args.images.map(async (image, index): Promise<ChatCompletionContentPart[]> => {
+        console.error(`Processing image ${index + 1}: ${image.url.substring(0, 100)}${image.url.length > 100 ? '...' : ''}`);
         try {
-          // Skip processing if already a data URL
-          if (image.url.startsWith('data:')) {
-            console.error(`Image ${index + 1} is already in base64 format`);
-            return image;
-          }
-          
-          console.error(`Processing image ${index + 1}: ${image.url.substring(0, 100)}${image.url.length > 100 ? '...' : ''}`);
-          
-          // Get MIME type
-          const mimeType = getMimeType(image.url);
-          
-          // Fetch and process the image
-          const buffer = await fetchImageAsBuffer(image.url);
-          const base64 = await processImage(buffer, mimeType);
-          
-          return {
-            url: `data:${mimeType === 'application/octet-stream' ? 'image/jpeg' : mimeType};base64,${base64}`,
-            alt: image.alt
-          };
+          return await loadImageInput(image.url, { detail: args.detail, crop: image.crop });
         } catch (error: any) {
-          console.error(`Error processing image ${index + 1}:`, error);
-          throw new Error(`Failed to process image ${index + 1}: ${image.url}. Error: ${error.message}`);
+          throw new McpError(ErrorCode.InvalidParams, `Failed to load image ${index + 1}: ${error.message}`);
         }
       })
     );
@@ -396,79 +416,218 @@ export async function handleMultiImageAnalysis(
     // 1. User-specified model
     // 2. Default model from environment
     // 3. Default free vision model
-    let model = args.model || defaultModel || DEFAULT_FREE_MODEL;
-    
-    // If a model is specified but not our default free model, verify it exists
-    if (model !== DEFAULT_FREE_MODEL) {
-      try {
-        await openai.models.retrieve(model);
-      } catch (error) {
-        console.error(`Specified model ${model} not found, falling back to auto-selection`);
-        model = await findSuitableFreeModel(openai);
-      }
-    }
-    
-    console.error(`Making API call with model: ${model}`);
-    
-    // Build content array for the API call
-    const content: Array<{ 
-      type: string; 
-      text?: string; 
-      image_url?: { 
-        url: string 
-      } 
-    }> = [
-      {
-        type: 'text',
-        text: args.prompt
-      }
-    ];
+    // 4. The fallback models, in order
+    const model = args.model || defaultModel || DEFAULT_FREE_MODEL;
+    const samplingParams: SamplingParams = {
+      temperature: args.temperature,
+      seed: args.seed,
+      ...(args.reasoning && { reasoning: args.reasoning })
+    };
+    const chain = await resolveVisionModelChain(openai, model, args.models, samplingParams);
     
-    // Add each processed image to the content array
-    processedImages.forEach(image => {
-      content.push({
-        type: 'image_url',
-        image_url: {
-          url: image.url
-        }
-      });
+    const prompt = redactor ? redactor.redactText(args.prompt) : args.prompt;
+    // Each image is introduced by its number and alt text, so answers can
+    // refer to the images and the alt text reaches the model
+    const imageLabels = args.images.map((image, index) => {
+      const alt = image.alt && (redactor ? redactor.redactText(image.alt) : image.alt);
+      return `Image ${index + 1}${alt ? `: ${alt}` : ''}`;
     });
     
-    // Make the API call
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: [{
+    let cacheReport: CacheReport | undefined;
+    // Run one request through the fallback chain; with a JSON response
+    // format, validate the reply and re-prompt on failure
+    const analyze = async (content: ChatCompletionContentPart[] | string, responseFormat?: ResponseFormat) => {
+      const messages = [{
         role: 'user',
         content
-      }] as any
+      }] as ChatCompletionMessageParam[];
+      const hasFiles = Array.isArray(content) && content.some(part => part.type === 'file');
+      const attempt = async (candidate: string, fallbacks: string[]) => {
+        console.error(`Making API call with model: ${candidate}`);
+        const complete = async (conversation: ChatCompletionMessageParam[]) => {
+          const params = {
+            model: candidate,
+            // Let OpenRouter route to the fallbacks itself where it can
+            ...(fallbacks.length > 0 && { models: [candidate, ...fallbacks] }),
+            messages: conversation,
+            response_format: responseFormat,
+            ...samplingParams,
+            ...(hasFiles && fileParserPlugins(args.pdf_engine))
+          };
+          const { value: completion, cached, report } = await runCached(
+            responseCache,
+            params,
+            args.cache,
+            () => openai.chat.completions.create({ ...params, ...USAGE_ACCOUNTING })
+          );
+          cacheReport = report;
+          if (!cached) {
+            usage.record(completion.usage, completion.model || candidate, completion.id);
+          }
+          const message = completion.choices[0].message;
+          return { ...splitReasoning(message.content || '', (message as any).reasoning), completion };
+        };
+        
+        return isJsonResponseFormat(responseFormat)
+          ? await completeWithStructuredOutput(messages, responseFormat, complete, args.repair_attempts)
+          : { result: await complete(messages), data: undefined };
+      };
+      
+      const { result: { result, data }, report } = await runWithModelFallback(chain.models, attempt, {
+        skipped: chain.skipped,
+        answeredModel: ({ result }) => result.completion.model
+      });
+      // Placeholders in the reply are restored, if configured
+      const answer = { text: result.text, reasoning: result.reasoning, data };
+      return { ...(redactor ? redactor.restore(answer) : answer), completion: result.completion, report };
+    };
+    
+    const mode = args.mode || 'combined';
+    const metadataFor = (model: string | undefined, report?: FallbackReport) => ({
+      model,
+      mode,
+      ...usage.toMetadata(),
+      ...(report && report.models.length > 1 && { fallback: report }),
+      ...(cacheReport && { cache: cacheReport }),
+      ...(redactor && { redaction: redactor.report() })
     });
     
-    // Get response text and format if requested
-    let responseText = completion.choices[0].message.content || '';
+    if (mode === 'combined') {
+      // Each request unit is one labelled image, or a contact sheet of them
+      const units = await buildRequestUnits(processedImages, imageLabels, args);
+      const sheetCount = units.filter(unit => unit.sheet).length;
+      const intro: ChatCompletionContentPart[] = [
+        { type: 'text', text: prompt },
+        ...(sheetCount > 0 ? [{ type: 'text' as const, text: CONTACT_SHEET_NOTE }] : [])
+      ];
+      
+      // Split the units into batches that fit the image limit and context
+      // budget of every model in the chain
+      const limits = getRequestLimits(chain.models, args.max_images_per_request);
+      const sizes = await Promise.all(units.map(unit => measureParts(unit.parts)));
+      const batches = planBatches(sizes, limits, (await measureParts(intro)).tokens + BATCH_NOTE_TOKENS);
+      const batchImages = batches.map(batch => batch.flatMap(index => units[index].images));
+      const batchingMetadata = {
+        ...(sheetCount > 0 && { contact_sheets: sheetCount }),
+        ...(batches.length > 1 && {
+          batching: {
+            batches: batchImages.map(images => images.map(index => index + 1)),
+            max_images: limits.maxImages,
+            prompt_budget: limits.promptBudget
+          }
+        })
+      };
+      
+      if (batches.length === 1) {
+        const reply = await analyze(
+          [...intro, ...units.flatMap(unit => unit.parts)],
+          args.response_format
+        );
+        return formatReply(reply, args.markdown_response, {
+          ...metadataFor(reply.completion.model, reply.report),
+          ...batchingMetadata
+        });
+      }
+      
+      // Too many images for one request: answer per batch, then merge
+      console.error(`Splitting ${args.images.length} images into ${batches.length} batches`);
+      const batchReplies = await mapWithConcurrency(
+        batches,
+        args.concurrency || DEFAULT_CONCURRENCY,
+        (batch, index) => analyze(
+          [
+            ...intro,
+            { type: 'text', text: formatBatchNote(batchImages[index], args.images.length, index, batches.length) },
+            ...batch.flatMap(unit => units[unit].parts)
+          ]
+        )
+      );
+      const merged = await analyze(
+        formatBatchMergePrompt(prompt, batchReplies.map((reply, index) => ({
+          images: batchImages[index],
+          answer: redactor ? redactor.redactText(reply.text) : reply.text
+        }))),
+        args.response_format
+      );
+      return formatReply(merged, args.markdown_response, {
+        ...metadataFor(merged.completion.model, merged.report),
+        ...batchingMetadata
+      });
+    }
     
-    // Format as markdown if requested
-    if (args.markdown_response) {
-      // Simple formatting enhancements
-      responseText = responseText
-        // Add horizontal rule after sections
-        .replace(/^(#{1,3}.*)/gm, '$1\n\n---')
-        // Ensure proper spacing for lists
-        .replace(/^(\s*[-*•]\s.+)$/gm, '\n$1')
-        // Convert plain URLs to markdown links
-        .replace(/(https?:\/\/[^\s]+)/g, '[$1]($1)');
+    // per_image and map_reduce: the prompt runs once per image. An image
+    // that fails gets an error; the other results are still returned.
+    const results: ImageResult[] = await mapWithConcurrency(
+      processedImages,
+      args.concurrency || DEFAULT_CONCURRENCY,
+      async (parts, index): Promise<ImageResult> => {
+        const image = { index: index + 1, ...(args.images[index].alt && { alt: args.images[index].alt }) };
+        try {
+          const reply = await analyze(
+            [
+              { type: 'text', text: prompt },
+              { type: 'text', text: `${imageLabels[index]} (of ${args.images.length})` },
+              ...parts
+            ],
+            mode === 'per_image' ? args.response_format : undefined
+          );
+          return {
+            ...image,
+            model: reply.completion.model,
+            ...(reply.data !== undefined
+              ? { data: reply.data }
+              : { answer: formatMarkdown(reply.text, args.markdown_response) }),
+            ...(reply.reasoning && { reasoning: reply.reasoning }),
+            ...(reply.report.models.length > 1 && { fallback: reply.report })
+          };
+        } catch (error: any) {
+          return { ...image, error: error.message || String(error) };
+        }
+      }
+    );
+    const answered = results.filter(result => !result.error);
+    if (answered.length === 0) {
+      throw new Error(
+        `No image could be analyzed:\n${results.map(result => `Image ${result.index}: ${result.error}`).join('\n')}`
+      );
     }
     
-    // Return the analysis result
+    if (mode === 'per_image') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: results.map(formatImageResult).join('\n\n'),
+          },
+        ],
+        structuredContent: { results },
+        metadata: metadataFor(answered[0].model)
+      };
+    }
+    
+    // map_reduce: answer the prompt once more from the per-image answers
+    const summary = await analyze(
+      formatReducePrompt(prompt, results.map((result, index) => ({
+        ...result,
+        label: imageLabels[index],
+        answer: result.answer && redactor ? redactor.redactText(result.answer) : result.answer
+      }))),
+      args.response_format
+    );
+    const reply = formatReply(summary, args.markdown_response, metadataFor(summary.completion.model, summary.report));
     return {
+      ...reply,
       content: [
+        ...reply.content.slice(0, 1),
         {
           type: 'text',
-          text: responseText,
+          text: `## Per-image answers\n\n${results.map(formatImageResult).join('\n\n')}`,
         },
+        ...reply.content.slice(1),
       ],
-      metadata: {
-        model: completion.model,
-        usage: completion.usage
+      structuredContent: {
+        summary: summary.data !== undefined ? summary.data : summary.text,
+        results
       }
     };
   } catch (error: any) {
@@ -488,7 +647,8 @@ export async function handleMultiImageAnalysis(
       isError: true,
       metadata: {
         error_type: error.constructor.name,
-        error_message: error.message
+        error_message: error.message,
+        ...(usage.hasCalls && usage.toMetadata())
       }
     };
   }
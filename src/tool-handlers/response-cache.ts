@@ -0,0 +1,70 @@
+import { ResponseCache } from '../response-cache.js';
+
+export interface InspectCacheToolRequest {
+  limit?: number;
+}
+
+export interface ClearCacheToolRequest {
+  model?: string;
+}
+
+/**
+ * Report cache settings, size and hit counts, with the newest entries
+ */
+export async function handleInspectCache(
+  request: { params: { arguments: InspectCacheToolRequest } },
+  responseCache: ResponseCache
+) {
+  const args = request.params.arguments;
+
+  try {
+    const stats = await responseCache.stats();
+    const entries = await responseCache.list();
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ ...stats, recent_entries: entries.slice(0, args.limit || 20) }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error inspecting response cache: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete every cached response, or only those of one model
+ */
+export async function handleClearCache(
+  request: { params: { arguments: ClearCacheToolRequest } },
+  responseCache: ResponseCache
+) {
+  const args = request.params.arguments;
+
+  try {
+    const deleted = await responseCache.clear(args.model);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ deleted, ...(args.model && { model: args.model }) }),
+        },
+      ],
+    };
+  } catch (error) {
+    if (error instanceof Error) {
+      return {
+        content: [{ type: 'text', text: `Error clearing response cache: ${error.message}` }],
+        isError: true,
+      };
+    }
+    throw error;
+  }
+}
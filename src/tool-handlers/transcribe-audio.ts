@@ -0,0 +1,159 @@
+import OpenAI from 'openai';
+import { ChatCompletionMessageParam } from 'openai/resources/chat/completions.js';
+import { ModelCache } from '../model-cache.js';
+import { USAGE_ACCOUNTING, UsageTracker } from '../utils/usage.js';
+import { buildModelChain, runWithModelFallback, screenModels } from '../utils/model-fallback.js';
+import {
+  AudioFormat,
+  formatNoAudioInputError,
+  resolveAudioPart,
+  supportsAudioInput,
+} from '../utils/audio.js';
+import { createRedactor } from '../utils/redaction.js';
+
+// Default model for transcription; cheap, fast and takes long recordings
+export const DEFAULT_TRANSCRIPTION_MODEL = 'google/gemini-2.5-flash';
+
+const TRANSCRIBE_PROMPT =
+  'Transcribe this recording verbatim. Start a new paragraph whenever the speaker changes. ' +
+  'Mark inaudible passages as [inaudible]. Reply with the transcript only.';
+
+export interface TranscribeAudioToolRequest {
+  audio: string;
+  format?: AudioFormat;
+  model?: string;
+  models?: string[];
+  language?: string;
+  timestamps?: boolean;
+  instructions?: string;
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+}
+
+/**
+ * Build the transcription prompt from the request options
+ */
+function buildPrompt(args: TranscribeAudioToolRequest): string {
+  const lines = [TRANSCRIBE_PROMPT];
+  if (args.language) {
+    lines.push(`The recording is in ${args.language}; transcribe it in that language.`);
+  }
+  if (args.timestamps) {
+    lines.push('Prefix each paragraph with its start time as [mm:ss].');
+  }
+  if (args.instructions) {
+    lines.push(
+      `After the transcript, add a line containing only "---" and then: ${args.instructions}`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Transcribe a recording with an audio-capable chat model, optionally
+ * following up with extra instructions such as a summary
+ */
+export async function handleTranscribeAudio(
+  request: { params: { arguments: TranscribeAudioToolRequest } },
+  openai: OpenAI
+) {
+  const args = request.params.arguments;
+  const usage = new UsageTracker();
+
+  if (!args.audio) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'An audio file path, file:// URL, data URL or base64 data is required.',
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  try {
+    const audioPart = await resolveAudioPart({
+      type: 'input_audio',
+      input_audio: { data: args.audio, format: args.format as any },
+    });
+
+    // Input modalities come from the model cache
+    await ModelCache.getInstance().ensureModels(async () => (await openai.models.list()).data);
+
+    const chain = screenModels(
+      buildModelChain(args.model || DEFAULT_TRANSCRIPTION_MODEL, args.models),
+      (candidate) =>
+        supportsAudioInput(candidate)
+          ? undefined
+          : { reason: 'unsupported_input', error: formatNoAudioInputError(candidate) }
+    );
+    if (chain.models.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: chain.skipped.map((entry) => entry.error).join('\n'),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    // PII in the instructions is masked; the recording itself cannot be
+    const redactor = createRedactor(args);
+    const prompt = buildPrompt(args);
+    const messages: ChatCompletionMessageParam[] = [
+      {
+        role: 'user',
+        content: [{ type: 'text', text: redactor ? redactor.redactText(prompt) : prompt }, audioPart],
+      },
+    ];
+
+    const { result: completion, report } = await runWithModelFallback(
+      chain.models,
+      async (candidate, fallbacks) => {
+        console.error(`Transcribing audio with model: ${candidate}`);
+        const completion = await openai.chat.completions.create({
+          model: candidate,
+          // Let OpenRouter route to the fallbacks itself where it can
+          ...(fallbacks.length > 0 && { models: [candidate, ...fallbacks] }),
+          messages,
+          temperature: 0,
+          ...USAGE_ACCOUNTING,
+        });
+        usage.record(completion.usage, completion.model || candidate, completion.id);
+        return completion;
+      },
+      { skipped: chain.skipped, answeredModel: (completion) => completion.model }
+    );
+
+    const text = completion.choices[0]?.message?.content || '';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: redactor ? redactor.restore(text) : text,
+        },
+      ],
+      metadata: {
+        model: completion.model,
+        ...usage.toMetadata(),
+        ...(report.models.length > 1 && { fallback: report }),
+        ...(redactor && { redaction: redactor.report() }),
+      },
+    };
+  } catch (error: any) {
+    console.error('Error transcribing audio:', error);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error transcribing audio: ${error.message || String(error)}`,
+        },
+      ],
+      isError: true,
+      ...(usage.hasCalls && { metadata: usage.toMetadata() }),
+    };
+  }
+}
@@ -0,0 +1,88 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import OpenAI from "openai";
+import {
+  DEFAULT_TRANSCRIPTION_MODEL,
+  handleTranscribeAudio,
+} from "../tool-handlers/transcribe-audio.js";
+import {
+  modelsSchema,
+  redactPiiSchema,
+  restorePiiSchema,
+} from "../utils/schema.js";
+
+const transcribeAudioSchema = z.object({
+  audio: z
+    .string()
+    .describe(
+      "Absolute local path, file:// URL or data URL of a wav, mp3, ogg, flac or m4a recording, or base64 audio data"
+    ),
+  format: z
+    .enum(["wav", "mp3", "ogg", "flac", "m4a"])
+    .optional()
+    .describe("Audio format (required for base64 data; files are detected from their bytes)"),
+  model: z
+    .string()
+    .optional()
+    .describe(
+      `Audio-capable OpenRouter model to use (default ${DEFAULT_TRANSCRIPTION_MODEL})`
+    ),
+  models: modelsSchema,
+  language: z
+    .string()
+    .optional()
+    .describe('Spoken language, e.g. "German" (detected when omitted)'),
+  timestamps: z
+    .boolean()
+    .optional()
+    .describe("Prefix each paragraph with its start time"),
+  instructions: z
+    .string()
+    .optional()
+    .describe(
+      'Follow-up to answer after the transcript, e.g. "Summarize the decisions and action items"'
+    ),
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
+});
+
+export function registerAudioTools(server: McpServer, apiKey: string) {
+  const openai = new OpenAI({
+    apiKey: apiKey,
+    baseURL: "https://openrouter.ai/api/v1",
+    defaultHeaders: {
+      "HTTP-Referer": "https://github.com/stabgan/openrouter-mcp-multimodal",
+      "X-Title": "OpenRouter MCP Multimodal Server",
+    },
+  });
+
+  server.tool(
+    "mcp_openrouter_transcribe_audio",
+    "Transcribe an audio recording (wav, mp3, ogg, flac or m4a) with an audio-capable model, optionally followed by a summary or other instructions",
+    transcribeAudioSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleTranscribeAudio(
+          { params: { arguments: args as any } },
+          openai
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to transcribe audio: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,238 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import OpenAI from "openai";
+import {
+  MAX_BATCH_CONCURRENCY,
+  createBatchManager,
+} from "../batch-jobs.js";
+import { ConversationStore } from "../conversation-store.js";
+import { ResponseCache } from "../response-cache.js";
+import { handleChatCompletion } from "../tool-handlers/chat-completion.js";
+import { handleAnalyzeImage } from "../tool-handlers/analyze-image.js";
+import { handleMultiImageAnalysis } from "../tool-handlers/multi-image-analysis.js";
+import {
+  handleBatchCancel,
+  handleBatchResults,
+  handleBatchStatus,
+  handleBatchSubmit,
+} from "../tool-handlers/batch.js";
+import { chatCompletionSchema } from "./chat.js";
+import { analyzeImageSchema, multiImageAnalysisSchema } from "./image-analysis.js";
+
+const batchSubmitSchema = z.object({
+  input_path: z
+    .string()
+    .optional()
+    .describe(
+      'Absolute path of a JSONL file with one request per line: the arguments of mcp_openrouter_chat_completion, mcp_openrouter_analyze_image or mcp_openrouter_multi_image_analysis, with an optional "id" and "type" ("chat", "analyze_image" or "multi_image_analysis"; inferred from messages, image_path or images)'
+    ),
+  output_path: z
+    .string()
+    .optional()
+    .describe(
+      "Absolute path of the JSONL results file (default: results.jsonl in the batch directory)"
+    ),
+  batch_id: z
+    .string()
+    .optional()
+    .describe(
+      "Resume this interrupted batch from its checkpoint instead of starting a new one"
+    ),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_BATCH_CONCURRENCY)
+    .optional()
+    .describe("Maximum number of requests in flight (default 4)"),
+  max_retries: z
+    .number()
+    .int()
+    .min(0)
+    .max(5)
+    .optional()
+    .describe("Retries per failed request, with exponential backoff (default 2)"),
+});
+
+const batchIdSchema = z.object({
+  batch_id: z.string().describe("ID of the batch"),
+});
+
+const batchResultsSchema = batchIdSchema.extend({
+  offset: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("Number of results to skip, in input line order (default 0)"),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(500)
+    .optional()
+    .describe("Maximum number of results to return (default 50)"),
+});
+
+export function registerBatchTools(
+  server: McpServer,
+  apiKey: string,
+  defaultModel: string,
+  conversationStore?: ConversationStore,
+  responseCache?: ResponseCache
+) {
+  const openai = new OpenAI({
+    apiKey: apiKey,
+    baseURL: "https://openrouter.ai/api/v1",
+    defaultHeaders: {
+      "HTTP-Referer": "https://github.com/stabgan/openrouter-mcp-multimodal",
+      "X-Title": "OpenRouter MCP Multimodal Server",
+    },
+  });
+
+  // Batch items are checked against the same schemas and run through the
+  // same handlers as the individual tools
+  const itemSchemas = {
+    chat: chatCompletionSchema,
+    analyze_image: analyzeImageSchema,
+    multi_image_analysis: multiImageAnalysisSchema,
+  };
+  const batchManager = createBatchManager(apiKey, (type, args) => {
+    const request = { params: { arguments: args as any } };
+    switch (type) {
+      case "analyze_image":
+        return handleAnalyzeImage(request, openai, defaultModel, responseCache);
+      case "multi_image_analysis":
+        return handleMultiImageAnalysis(request, openai, defaultModel, responseCache);
+      default:
+        return handleChatCompletion(
+          request,
+          openai,
+          defaultModel,
+          undefined,
+          conversationStore,
+          responseCache
+        );
+    }
+  }, itemSchemas);
+
+  server.tool(
+    "mcp_openrouter_batch_submit",
+    "Run a JSONL file of chat or image analysis requests in the background, with a concurrency limit, per-request retries and a checkpoint so an interrupted batch can be resumed. Returns a batch ID right away; results are written to a JSONL file with usage per line.",
+    batchSubmitSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleBatchSubmit(
+          { params: { arguments: args as any } },
+          batchManager
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to submit batch: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_batch_status",
+    "Get a batch's status, progress, token usage and cost so far",
+    batchIdSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleBatchStatus(
+          { params: { arguments: args as any } },
+          batchManager
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to get batch status: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_batch_results",
+    "Read a page of a batch's results, in input line order",
+    batchResultsSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleBatchResults(
+          { params: { arguments: args as any } },
+          batchManager
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to read batch results: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_batch_cancel",
+    "Cancel a running batch (requests in flight still finish) or an interrupted one",
+    batchIdSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleBatchCancel(
+          { params: { arguments: args as any } },
+          batchManager
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to cancel batch: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
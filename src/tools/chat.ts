@@ -2,61 +2,151 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
 import OpenAI from "openai";
 import { handleChatCompletion } from "../tool-handlers/chat-completion.js";
+import { ConversationStore } from "../conversation-store.js";
+import { ResponseCache } from "../response-cache.js";
+import { createProgressReporter } from "../utils/progress.js";
+import {
+  cacheModeSchema,
+  messageContentSchema,
+  modelsSchema,
+  pdfEngineSchema,
+  providerPreferencesSchema,
+  redactPiiSchema,
+  repairAttemptsSchema,
+  responseFormatSchema,
+  restorePiiSchema,
+  samplingParamsSchema,
+} from "../utils/schema.js";
 
-const chatCompletionSchema = z.object({
+const toolCallSchema = z.object({
+  id: z.string().describe("The ID of the tool call"),
+  type: z.literal("function"),
+  function: z.object({
+    name: z.string().describe("The name of the function to call"),
+    arguments: z
+      .string()
+      .describe("The function arguments as a JSON-encoded string"),
+  }),
+});
+
+export const chatCompletionSchema = z.object({
   model: z
     .string()
     .optional()
     .describe(
       'The model to use (e.g., "google/gemini-2.5-pro-exp-03-25:free"). If not provided, uses the default model.'
     ),
+  models: modelsSchema,
   messages: z
     .array(
       z.object({
         role: z
-          .enum(["system", "user", "assistant"])
+          .enum(["system", "user", "assistant", "tool"])
           .describe("The role of the message sender"),
-        content: z.union([
-          z.string().describe("The text content of the message"),
-          z
-            .array(
-              z.object({
-                type: z
-                  .enum(["text", "image_url"])
-                  .describe("The type of content"),
-                text: z
-                  .string()
-                  .optional()
-                  .describe("The text content (for text type)"),
-                image_url: z
-                  .object({
-                    url: z
-                      .string()
-                      .describe("The URL or data URL of the image"),
-                  })
-                  .optional()
-                  .describe("The image URL object (for image_url type)"),
-              })
-            )
-            .describe("Array of content parts for multimodal messages"),
-        ]),
+        content: messageContentSchema
+          .nullable()
+          .optional()
+          .describe(
+            "Message content. May be null for assistant messages that only carry tool_calls."
+          ),
+        tool_calls: z
+          .array(toolCallSchema)
+          .optional()
+          .describe(
+            "Tool calls previously requested by the model (assistant messages only)"
+          ),
+        tool_call_id: z
+          .string()
+          .optional()
+          .describe(
+            "ID of the tool call this message answers (required for tool messages)"
+          ),
+        name: z
+          .string()
+          .optional()
+          .describe("Optional name of the message author"),
       })
     )
     .min(1)
     .max(100)
-    .describe("An array of conversation messages"),
-  temperature: z
-    .number()
-    .min(0)
-    .max(2)
+    .describe(
+      "An array of conversation messages. With conversation_id, only the new turn needs to be sent."
+    ),
+  ...samplingParamsSchema.shape,
+  provider: providerPreferencesSchema,
+  pdf_engine: pdfEngineSchema,
+  tools: z
+    .array(
+      z.object({
+        type: z.literal("function"),
+        function: z.object({
+          name: z.string().describe("The name of the function"),
+          description: z
+            .string()
+            .optional()
+            .describe("What the function does"),
+          parameters: z
+            .record(z.any())
+            .optional()
+            .describe("JSON Schema object describing the function arguments"),
+          strict: z
+            .boolean()
+            .optional()
+            .describe("Whether the model must follow the schema exactly"),
+        }),
+      })
+    )
+    .optional()
+    .describe("Tools (functions) the model may call"),
+  tool_choice: z
+    .union([
+      z.enum(["none", "auto", "required"]),
+      z.object({
+        type: z.literal("function"),
+        function: z.object({
+          name: z.string().describe("The function the model must call"),
+        }),
+      }),
+    ])
+    .optional()
+    .describe(
+      'How the model picks tools: "none", "auto", "required" or a specific function'
+    ),
+  parallel_tool_calls: z
+    .boolean()
+    .optional()
+    .describe("Whether the model may request several tool calls at once"),
+  response_format: responseFormatSchema,
+  repair_attempts: repairAttemptsSchema,
+  compaction: z
+    .enum(["truncate", "summarize"])
+    .optional()
+    .describe(
+      'What to do with history that does not fit the model\'s context: "truncate" drops the oldest messages (default), "summarize" replaces them with a summary written by a cheap model'
+    ),
+  compaction_model: z
+    .string()
     .optional()
-    .describe("Sampling temperature (0-2)"),
+    .describe(
+      "Model used to write compaction summaries (defaults to OPENROUTER_COMPACTION_MODEL or openai/gpt-4o-mini)"
+    ),
+  conversation_id: z
+    .string()
+    .optional()
+    .describe(
+      "Store this exchange in a server-side conversation. The stored history is sent before `messages`, and the new turn plus the reply are appended. Unknown IDs start a new conversation."
+    ),
+  cache: cacheModeSchema,
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
 });
 
 export function registerChatTools(
   server: McpServer,
   apiKey: string,
-  defaultModel: string
+  defaultModel: string,
+  conversationStore?: ConversationStore,
+  responseCache?: ResponseCache
 ) {
   const openai = new OpenAI({
     apiKey: apiKey,
@@ -69,14 +159,17 @@ export function registerChatTools(
 
   server.tool(
     "mcp_openrouter_chat_completion",
-    "Send a message to OpenRouter.ai and get a response",
+    "Send a message to OpenRouter.ai and get a response. Supports tool calling: requested tool_calls are returned as structured content. Partial output is streamed as progress notifications when the request carries a progressToken.",
     chatCompletionSchema.shape,
-    async (args) => {
+    async (args, extra) => {
       try {
         const result = await handleChatCompletion(
           { params: { arguments: args as any } },
           openai,
-          defaultModel
+          defaultModel,
+          createProgressReporter(extra),
+          conversationStore,
+          responseCache
         );
         return {
           ...result,
@@ -0,0 +1,98 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import OpenAI from "openai";
+import {
+  MAX_COMPARE_MODELS,
+  MIN_COMPARE_MODELS,
+  handleCompareModels,
+} from "../tool-handlers/compare-models.js";
+import {
+  messageContentSchema,
+  redactPiiSchema,
+  restorePiiSchema,
+  samplingParamsSchema,
+} from "../utils/schema.js";
+
+const compareModelsSchema = z.object({
+  models: z
+    .array(z.string())
+    .min(MIN_COMPARE_MODELS)
+    .max(MAX_COMPARE_MODELS)
+    .describe(
+      `Models to compare (${MIN_COMPARE_MODELS}-${MAX_COMPARE_MODELS}), e.g. ["openai/gpt-4o-mini", "anthropic/claude-3.5-haiku"]`
+    ),
+  messages: z
+    .array(
+      z.object({
+        role: z
+          .enum(["system", "user", "assistant"])
+          .describe("The role of the message sender"),
+        content: messageContentSchema.describe(
+          "Message content: text, or content parts with images"
+        ),
+      })
+    )
+    .min(1)
+    .describe("Messages sent unchanged to every model"),
+  ...samplingParamsSchema.shape,
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_COMPARE_MODELS)
+    .optional()
+    .describe("Maximum number of models queried at once (default 4)"),
+  judge_model: z
+    .string()
+    .optional()
+    .describe("Model that ranks the answers against the rubric"),
+  rubric: z
+    .string()
+    .optional()
+    .describe(
+      "What the judge should rank the answers on (default: correctness, completeness, clarity and instruction following)"
+    ),
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
+});
+
+export function registerCompareModelsTools(server: McpServer, apiKey: string) {
+  const openai = new OpenAI({
+    apiKey: apiKey,
+    baseURL: "https://openrouter.ai/api/v1",
+    defaultHeaders: {
+      "HTTP-Referer": "https://github.com/stabgan/openrouter-mcp-multimodal",
+      "X-Title": "OpenRouter MCP Multimodal Server",
+    },
+  });
+
+  server.tool(
+    "mcp_openrouter_compare_models",
+    "Send the same messages (text or images) to several models in parallel and compare their answers side by side, with latency, token usage and cost. Optionally a judge model ranks the answers against a rubric.",
+    compareModelsSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleCompareModels(
+          { params: { arguments: args as any } },
+          openai
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to compare models: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
@@ -0,0 +1,203 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { ConversationStore } from "../conversation-store.js";
+import {
+  handleDeleteConversation,
+  handleExportConversation,
+  handleForkConversation,
+  handleGetConversation,
+  handleListConversations,
+} from "../tool-handlers/conversations.js";
+
+const listConversationsSchema = z.object({
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe("Maximum number of conversations to return (default 50)"),
+});
+
+const conversationIdSchema = z.object({
+  conversation_id: z.string().describe("ID of the conversation"),
+});
+
+const forkConversationSchema = conversationIdSchema.extend({
+  message_count: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe(
+      "Keep only the first N messages in the fork (default: all messages)"
+    ),
+});
+
+const exportConversationSchema = conversationIdSchema.extend({
+  format: z
+    .enum(["markdown", "json"])
+    .optional()
+    .default("markdown")
+    .describe("Export format"),
+  include_images: z
+    .boolean()
+    .optional()
+    .describe(
+      "Inline stored images as data URLs instead of asset:// references"
+    ),
+});
+
+export function registerConversationTools(
+  server: McpServer,
+  conversationStore: ConversationStore
+) {
+  server.tool(
+    "mcp_openrouter_list_conversations",
+    "List stored chat conversations (most recently updated first)",
+    listConversationsSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleListConversations(
+          { params: { arguments: args as any } },
+          conversationStore
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to list conversations: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_get_conversation",
+    "Get a stored chat conversation with all of its messages. Images are shown as asset:// references.",
+    conversationIdSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleGetConversation(
+          { params: { arguments: args as any } },
+          conversationStore
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to get conversation: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_fork_conversation",
+    "Copy a stored conversation into a new one, optionally keeping only its first messages, to branch off an earlier point",
+    forkConversationSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleForkConversation(
+          { params: { arguments: args as any } },
+          conversationStore
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to fork conversation: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_export_conversation",
+    "Export a stored conversation as markdown or JSON",
+    exportConversationSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleExportConversation(
+          { params: { arguments: args as any } },
+          conversationStore
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to export conversation: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_delete_conversation",
+    "Delete a stored conversation and any images only it references",
+    conversationIdSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleDeleteConversation(
+          { params: { arguments: args as any } },
+          conversationStore
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to delete conversation: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
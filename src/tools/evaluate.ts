@@ -0,0 +1,164 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import OpenAI from "openai";
+import {
+  MAX_EVAL_CONCURRENCY,
+  MAX_EVAL_ITEMS,
+  handleEvaluate,
+} from "../tool-handlers/evaluate.js";
+import { createProgressReporter } from "../utils/progress.js";
+import {
+  messageContentSchema,
+  redactPiiSchema,
+  restorePiiSchema,
+} from "../utils/schema.js";
+
+const evaluationItemSchema = z.object({
+  id: z.string().optional().describe("Identifier copied to the item's result"),
+  prompt: z
+    .string()
+    .optional()
+    .describe("The user prompt the answers respond to"),
+  messages: z
+    .array(
+      z.object({
+        role: z
+          .enum(["system", "user", "assistant"])
+          .describe("The role of the message sender"),
+        content: messageContentSchema.describe(
+          "Message content: text, or content parts with images"
+        ),
+      })
+    )
+    .optional()
+    .describe("The conversation the answers respond to, instead of a prompt"),
+  output: z
+    .string()
+    .optional()
+    .describe("Answer to score (pointwise); generated with model when missing"),
+  output_a: z
+    .string()
+    .optional()
+    .describe("Baseline answer (pairwise); generated with baseline_model when missing"),
+  output_b: z
+    .string()
+    .optional()
+    .describe("Candidate answer (pairwise); generated with model when missing"),
+  reference: z
+    .string()
+    .optional()
+    .describe("Reference answer the judge compares against"),
+  rubric: z.string().optional().describe("Rubric for this item only"),
+});
+
+const evaluateSchema = z.object({
+  mode: z
+    .enum(["pointwise", "pairwise"])
+    .optional()
+    .describe(
+      "pointwise scores each answer from 0 to 10; pairwise picks the better of answers A and B (default pointwise)"
+    ),
+  items: z
+    .array(evaluationItemSchema)
+    .max(MAX_EVAL_ITEMS)
+    .optional()
+    .describe("Items to evaluate inline"),
+  dataset_path: z
+    .string()
+    .optional()
+    .describe(
+      `Absolute path of a JSONL file with one item per line, or a JSON array of items (at most ${MAX_EVAL_ITEMS})`
+    ),
+  judge_model: z
+    .string()
+    .optional()
+    .describe("Model that scores the answers (default: OPENROUTER_JUDGE_MODEL)"),
+  rubric: z
+    .string()
+    .optional()
+    .describe(
+      "What the judge scores the answers on (default: correctness, completeness, clarity and instruction following)"
+    ),
+  model: z
+    .string()
+    .optional()
+    .describe(
+      "Model that writes missing output / output_b answers (default: the server's default model)"
+    ),
+  baseline_model: z
+    .string()
+    .optional()
+    .describe("Model that writes missing output_a answers in pairwise mode"),
+  pass_threshold: z
+    .number()
+    .min(0)
+    .max(10)
+    .optional()
+    .describe("Pointwise score an answer needs to pass (default 7)"),
+  swap_positions: z
+    .boolean()
+    .optional()
+    .describe(
+      "Pairwise: judge each pair twice with A and B swapped; verdicts that flip count as ties"
+    ),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_EVAL_CONCURRENCY)
+    .optional()
+    .describe("Maximum number of items evaluated at once (default 4)"),
+  output_path: z
+    .string()
+    .optional()
+    .describe("Absolute path to write the per-item results to as JSONL"),
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
+});
+
+export function registerEvaluateTools(
+  server: McpServer,
+  apiKey: string,
+  defaultModel: string
+) {
+  const openai = new OpenAI({
+    apiKey: apiKey,
+    baseURL: "https://openrouter.ai/api/v1",
+    defaultHeaders: {
+      "HTTP-Referer": "https://github.com/stabgan/openrouter-mcp-multimodal",
+      "X-Title": "OpenRouter MCP Multimodal Server",
+    },
+  });
+
+  server.tool(
+    "mcp_openrouter_evaluate",
+    "Score answers with a judge model against a rubric or reference answer, pointwise (0-10 per answer) or pairwise (answer A vs B), and aggregate the scores over a dataset. Missing answers are generated, so a new default model can be checked against a baseline.",
+    evaluateSchema.shape,
+    async (args, extra) => {
+      try {
+        const result = await handleEvaluate(
+          { params: { arguments: args as any } },
+          openai,
+          defaultModel,
+          createProgressReporter(extra)
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to evaluate outputs: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
@@ -2,46 +2,248 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
 import OpenAI from "openai";
 import { handleAnalyzeImage } from "../tool-handlers/analyze-image.js";
-import { handleMultiImageAnalysis } from "../tool-handlers/multi-image-analysis.js";
+import { MAX_TILES } from "../utils/image-ingestion.js";
+import {
+  MAX_IMAGE_CONCURRENCY,
+  handleMultiImageAnalysis,
+} from "../tool-handlers/multi-image-analysis.js";
+import {
+  AUTO_TILE_DIMENSION,
+  handleExtractText,
+} from "../tool-handlers/extract-text.js";
+import {
+  MAX_DETECTIONS,
+  MAX_DETECTION_LABELS,
+  handleDetectObjects,
+} from "../tool-handlers/detect-objects.js";
+import { ResponseCache } from "../response-cache.js";
+import {
+  cacheModeSchema,
+  cropRegionSchema,
+  imageDetailSchema,
+  modelsSchema,
+  pdfEngineSchema,
+  reasoningSchema,
+  redactPiiSchema,
+  repairAttemptsSchema,
+  responseFormatSchema,
+  restorePiiSchema,
+  samplingParamsSchema,
+} from "../utils/schema.js";
 
-const analyzeImageSchema = z.object({
+export const analyzeImageSchema = z.object({
   image_path: z
     .string()
     .describe(
-      'Path to the image file to analyze (can be an absolute file path, URL, or base64 data URL starting with "data:")'
+      'Path to the image or document to analyze (can be an absolute file path, file:// URL, URL, or base64 data URL starting with "data:"). PDFs are read as documents and multi-page TIFFs page by page.'
     ),
   question: z.string().optional().describe("Question to ask about the image"),
   model: z
     .string()
     .optional()
     .describe('OpenRouter model to use (e.g., "anthropic/claude-3.5-sonnet")'),
+  models: modelsSchema,
+  reasoning: reasoningSchema,
+  pdf_engine: pdfEngineSchema,
+  detail: imageDetailSchema,
+  crop: cropRegionSchema,
+  tile: z
+    .boolean()
+    .optional()
+    .describe(
+      `Split the image (or the crop region) into overlapping full-resolution tiles, analyze each and merge the answers. For dense dashboards and documents; costs one call per tile (at most ${MAX_TILES}) plus one to merge.`
+    ),
+  tile_size: z
+    .number()
+    .int()
+    .min(256)
+    .max(2048)
+    .optional()
+    .describe("Longest side of a tile in pixels (default 1024)"),
+  tile_overlap: z
+    .number()
+    .min(0)
+    .max(0.5)
+    .optional()
+    .describe("Fraction of a tile shared with its neighbours (default 0.15)"),
+  temperature: samplingParamsSchema.shape.temperature,
+  seed: samplingParamsSchema.shape.seed,
+  cache: cacheModeSchema,
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
+  response_format: responseFormatSchema,
+  repair_attempts: repairAttemptsSchema,
 });
 
-const multiImageAnalysisSchema = z.object({
+export const multiImageAnalysisSchema = z.object({
   images: z
     .array(
       z.object({
-        url: z.string().describe("URL or data URL of the image"),
+        url: z
+          .string()
+          .describe("URL, data URL or absolute path of the image, PDF or TIFF"),
         alt: z
           .string()
           .optional()
-          .describe("Optional alt text or description of the image"),
+          .describe(
+            "Optional alt text or description of the image, sent to the model with the image's number"
+          ),
+        crop: cropRegionSchema,
       })
     )
     .describe("Array of image objects to analyze"),
   prompt: z.string().describe("Prompt for analyzing the images"),
+  mode: z
+    .enum(["combined", "per_image", "map_reduce"])
+    .optional()
+    .describe(
+      "combined: one request with every image (default); per_image: run the prompt once per image and return the answers in input order; map_reduce: per_image, then combine the answers into one"
+    ),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_IMAGE_CONCURRENCY)
+    .optional()
+    .describe(
+      "Maximum number of requests in flight at once: images in per_image and map_reduce mode, batches in combined mode (default 4)"
+    ),
+  max_images_per_request: z
+    .number()
+    .int()
+    .min(1)
+    .max(100)
+    .optional()
+    .describe(
+      "combined: images per request before the set is split into batches and the answers merged (default: the model's limit, see OPENROUTER_IMAGE_LIMITS)"
+    ),
+  contact_sheet: z
+    .boolean()
+    .optional()
+    .describe(
+      "combined: put the images on labelled contact-sheet grids, one sheet per request image. For many small images such as thumbnails or icons; PDFs and TIFF pages are sent separately"
+    ),
+  sheet_columns: z
+    .number()
+    .int()
+    .min(2)
+    .max(5)
+    .optional()
+    .describe("Cells per row and column of a contact sheet (default 3)"),
+  sheet_cell_size: z
+    .number()
+    .int()
+    .min(256)
+    .max(1024)
+    .optional()
+    .describe("Side of a contact-sheet cell in pixels (default 512)"),
   markdown_response: z
     .boolean()
     .optional()
     .default(true)
     .describe("Whether to format the response in Markdown"),
   model: z.string().optional().describe("OpenRouter model to use"),
+  models: modelsSchema,
+  reasoning: reasoningSchema,
+  pdf_engine: pdfEngineSchema,
+  detail: imageDetailSchema,
+  temperature: samplingParamsSchema.shape.temperature,
+  seed: samplingParamsSchema.shape.seed,
+  cache: cacheModeSchema,
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
+  response_format: responseFormatSchema,
+  repair_attempts: repairAttemptsSchema,
+});
+
+const extractTextSchema = z.object({
+  image_path: z
+    .string()
+    .describe(
+      'Image, multi-page TIFF or PDF to read (absolute file path, file:// URL, URL, or base64 data URL starting with "data:")'
+    ),
+  format: z
+    .enum(["text", "markdown", "blocks"])
+    .optional()
+    .describe(
+      "text: plain text; markdown: headings, lists and tables kept as markdown; blocks: JSON blocks in reading order with approximate bounding boxes in page pixels (default markdown)"
+    ),
+  language: z
+    .string()
+    .optional()
+    .describe('Language of the text, as a hint (e.g., "German", "ja")'),
+  crop: cropRegionSchema,
+  tile: z
+    .boolean()
+    .optional()
+    .describe(
+      `Read the page in overlapping full-resolution tiles and merge the results (default: when the longer side exceeds ${AUTO_TILE_DIMENSION}px)`
+    ),
+  model: z.string().optional().describe("OpenRouter vision model to use"),
+  models: modelsSchema,
+  pdf_engine: pdfEngineSchema,
+  seed: samplingParamsSchema.shape.seed,
+  cache: cacheModeSchema,
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
+});
+
+const detectObjectsSchema = z.object({
+  image_path: z
+    .string()
+    .describe(
+      'Image to search (absolute file path, file:// URL, URL, or base64 data URL starting with "data:"). Only the first page of a multi-page TIFF is used.'
+    ),
+  labels: z
+    .array(z.string().min(1))
+    .min(1)
+    .max(MAX_DETECTION_LABELS)
+    .optional()
+    .describe(
+      'Object classes to find (e.g., ["pallet", "damaged box", "forklift"]); the model may use no other labels. Default: any distinct object'
+    ),
+  instructions: z
+    .string()
+    .optional()
+    .describe('Extra guidance for the model (e.g., "Count stacked boxes separately")'),
+  max_objects: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_DETECTIONS)
+    .optional()
+    .describe("Maximum number of objects to return (default 50)"),
+  min_confidence: z
+    .number()
+    .min(0)
+    .max(1)
+    .optional()
+    .describe("Drop detections the model is less confident about (0-1)"),
+  detail: imageDetailSchema,
+  crop: cropRegionSchema,
+  model: z.string().optional().describe("OpenRouter vision model to use"),
+  models: modelsSchema,
+  seed: samplingParamsSchema.shape.seed,
+  cache: cacheModeSchema,
+  output_path: z
+    .string()
+    .optional()
+    .describe(
+      "Absolute path (.png, .jpg, .jpeg or .webp) to save the annotated image to at full size"
+    ),
+  return_image: z
+    .boolean()
+    .optional()
+    .describe("Include the annotated image in the result (default true)"),
+  redact_pii: redactPiiSchema,
+  restore_pii: restorePiiSchema,
 });
 
 export function registerImageAnalysisTools(
   server: McpServer,
   apiKey: string,
-  defaultModel: string
+  defaultModel: string,
+  responseCache?: ResponseCache
 ) {
   const openai = new OpenAI({
     apiKey: apiKey,
@@ -61,7 +263,8 @@ export function registerImageAnalysisTools(
         const result = await handleAnalyzeImage(
           { params: { arguments: args as any } },
           openai,
-          defaultModel
+          defaultModel,
+          responseCache
         );
         return {
           ...result,
@@ -92,7 +295,8 @@ export function registerImageAnalysisTools(
         const result = await handleMultiImageAnalysis(
           { params: { arguments: args as any } },
           openai,
-          defaultModel
+          defaultModel,
+          responseCache
         );
         return {
           ...result,
@@ -113,4 +317,64 @@ export function registerImageAnalysisTools(
       }
     }
   );
+
+  server.tool(
+    "mcp_openrouter_extract_text",
+    "Extract the text of an image, scanned page, multi-page TIFF or PDF as plain text, markdown with tables preserved, or JSON blocks with bounding boxes in reading order",
+    extractTextSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleExtractText(
+          { params: { arguments: args as any } },
+          openai,
+          defaultModel,
+          responseCache
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to extract text: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_detect_objects",
+    "Detect objects in an image as labelled bounding boxes under a strict JSON contract, and return the boxes together with the image annotated with them",
+    detectObjectsSchema.shape,
+    async (args) => {
+      try {
+        return await handleDetectObjects(
+          { params: { arguments: args as any } },
+          openai,
+          defaultModel,
+          responseCache
+        );
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to detect objects: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
 }
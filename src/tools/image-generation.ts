@@ -5,6 +5,12 @@ import { uploadToCloudinary } from "../utils/cloudinary.js";
 import { loadSettings } from "./image-settings.js";
 import { generateImageSchema } from "../utils/schema.js";
 import { IMAGE_GEN_DESCRIPTION } from "../utils/description.js";
+import {
+  buildModelChain,
+  formatFallbackNote,
+  runWithModelFallback,
+} from "../utils/model-fallback.js";
+import { USAGE_ACCOUNTING, UsageTracker } from "../utils/usage.js";
 
 /**
  * Extract base64 from data URI
@@ -202,6 +208,7 @@ export function registerImageGenerationTools(
     async (args, extra) => {
       console.log("[IMAGE-GEN] Starting generation");
       console.log("[IMAGE-GEN] Prompt:", args.prompt);
+      const usage = new UsageTracker();
 
       try {
         // Load default settings
@@ -236,55 +243,85 @@ export function registerImageGenerationTools(
           background: background,
         });
 
-        // Build request
-        const requestParams: any = {
-          model: model,
-          messages: [{ role: "user", content: args.prompt }],
-          modalities: ["image", "text"],
-        };
+        // Generate image(s), moving down the fallback list when a model is
+        // rate limited or unavailable
+        const startTime = Date.now();
+        const generate = async (candidate: string, fallbacks: string[]) => {
+          // Build request
+          const requestParams: any = {
+            model: candidate,
+            messages: [{ role: "user", content: args.prompt }],
+            modalities: ["image", "text"],
+            ...USAGE_ACCOUNTING,
+          };
 
-        // Add aspect ratio for Gemini models
-        if (model.toLowerCase().includes("gemini") && aspect_ratio) {
-          requestParams.image_config = { aspect_ratio: aspect_ratio };
-        }
+          // Let OpenRouter route to the fallbacks itself where it can
+          if (fallbacks.length > 0) {
+            requestParams.models = [candidate, ...fallbacks];
+          }
 
-        // Add number of images parameter
-        // Note: numberOfImages is only supported by Imagen models, not Gemini image models
-        // Gemini models generate images conversationally and don't support this parameter
-        if (numImages > 1) {
-          if (model.toLowerCase().includes("imagen")) {
-            requestParams.numberOfImages = numImages;
-          } else if (!model.toLowerCase().includes("gemini")) {
-            requestParams.n = numImages;
+          // Add aspect ratio for Gemini models
+          if (candidate.toLowerCase().includes("gemini") && aspect_ratio) {
+            requestParams.image_config = { aspect_ratio: aspect_ratio };
           }
-          // For Gemini models, we'll need to make multiple sequential calls
-        }
 
-        // Generate image(s)
-        // Note: Gemini models don't support generating multiple images in one call
-        // so we need to make multiple sequential calls for n > 1
-        const startTime = Date.now();
-        let allImages: any[] = [];
+          // Add number of images parameter
+          // Note: numberOfImages is only supported by Imagen models, not Gemini image models
+          // Gemini models generate images conversationally and don't support this parameter
+          if (numImages > 1) {
+            if (candidate.toLowerCase().includes("imagen")) {
+              requestParams.numberOfImages = numImages;
+            } else if (!candidate.toLowerCase().includes("gemini")) {
+              requestParams.n = numImages;
+            }
+            // For Gemini models, we'll need to make multiple sequential calls
+          }
 
-        if (model.toLowerCase().includes("gemini") && numImages > 1) {
-          console.log(
-            `[IMAGE-GEN] Gemini model detected - making ${numImages} sequential calls`
-          );
+          // Note: Gemini models don't support generating multiple images in one call
+          // so we need to make multiple sequential calls for n > 1
+          const images: any[] = [];
+          let answeredBy: string | undefined;
 
-          for (let i = 0; i < numImages; i++) {
+          if (candidate.toLowerCase().includes("gemini") && numImages > 1) {
             console.log(
-              `[IMAGE-GEN] Generating image ${i + 1}/${numImages}...`
+              `[IMAGE-GEN] Gemini model detected - making ${numImages} sequential calls`
             );
+
+            for (let i = 0; i < numImages; i++) {
+              console.log(
+                `[IMAGE-GEN] Generating image ${i + 1}/${numImages}...`
+              );
+              const result = await openai.chat.completions.create(requestParams);
+              usage.record(result.usage, result.model || candidate, result.id);
+              answeredBy ??= result.model;
+              const message = result.choices?.[0]?.message;
+              images.push(...((message as any)?.images || []));
+            }
+          } else {
+            // Single call for Imagen or other models
             const result = await openai.chat.completions.create(requestParams);
+            usage.record(result.usage, result.model || candidate, result.id);
+            answeredBy = result.model;
             const message = result.choices?.[0]?.message;
-            const images = (message as any)?.images || [];
-            allImages.push(...images);
+            images.push(...((message as any)?.images || []));
           }
-        } else {
-          // Single call for Imagen or other models
-          const result = await openai.chat.completions.create(requestParams);
-          const message = result.choices?.[0]?.message;
-          allImages = (message as any)?.images || [];
+
+          return { images, answeredBy };
+        };
+
+        const chain = buildModelChain(model, args.models);
+        const { result, report } = await runWithModelFallback(chain, generate, {
+          answeredModel: (result) => result.answeredBy,
+        });
+        const allImages = result.images;
+        const answeredBy = report.answered_by;
+        const fallbackNote = formatFallbackNote(report);
+        const metadata = {
+          ...(report.models.length > 1 && { fallback: report }),
+          ...usage.toMetadata(),
+        };
+        if (fallbackNote) {
+          console.error(`[IMAGE-GEN] ${fallbackNote}`);
         }
 
         const genTime = Date.now() - startTime;
@@ -302,6 +339,7 @@ export function registerImageGenerationTools(
               },
             ],
             isError: true,
+            metadata,
           };
         }
 
@@ -329,6 +367,7 @@ export function registerImageGenerationTools(
               },
             ],
             isError: true,
+            metadata,
           };
         }
 
@@ -383,7 +422,7 @@ export function registerImageGenerationTools(
                   tags: [
                     "ai-generated",
                     "openrouter",
-                    model.split("/")[0],
+                    answeredBy.split("/")[0],
                     `format-${processed.format}`,
                     `quality-${quality}`,
                   ],
@@ -424,19 +463,26 @@ export function registerImageGenerationTools(
             }
           }
 
+          if (fallbackNote) {
+            responses.push({ type: "text" as const, text: `ℹ️ ${fallbackNote}` });
+          }
+
           console.log(
             `[IMAGE-GEN] Successfully processed and uploaded to Cloudinary`
           );
-          return { content: responses };
+          return { content: responses, metadata };
         } else {
           // Return without Cloudinary upload (but still process)
           return {
             content: [
               {
                 type: "text",
-                text: `✅ ${processedImages.length} image(s) generated in ${genTime}ms\n\nPrompt: "${args.prompt}"\nModel: ${model}\n\n(Upload to Cloudinary disabled - images were processed but not uploaded)`,
+                text: `✅ ${processedImages.length} image(s) generated in ${genTime}ms\n\nPrompt: "${args.prompt}"\nModel: ${answeredBy}${
+                  fallbackNote ? ` (${fallbackNote})` : ""
+                }\n\n(Upload to Cloudinary disabled - images were processed but not uploaded)`,
               },
             ],
+            metadata,
           };
         }
       } catch (error: any) {
@@ -449,6 +495,7 @@ export function registerImageGenerationTools(
             },
           ],
           isError: true,
+          ...(usage.hasCalls && { metadata: usage.toMetadata() }),
         };
       }
     }
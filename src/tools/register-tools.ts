@@ -1,10 +1,18 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { ModelCache } from "../model-cache.js";
 import { OpenRouterAPIClient } from "../openrouter-api.js";
-// import { registerChatTools } from "./chat.js";
+import { createConversationStore } from "../conversation-store.js";
+import { createResponseCache } from "../response-cache.js";
+import { registerAudioTools } from "./audio.js";
+import { registerBatchTools } from "./batch.js";
+import { registerChatTools } from "./chat.js";
+import { registerCompareModelsTools } from "./compare-models.js";
+import { registerConversationTools } from "./conversations.js";
+import { registerEvaluateTools } from "./evaluate.js";
 import { registerImageAnalysisTools } from "./image-analysis.js";
 import { registerImageGenerationTools } from "./image-generation.js";
 import { registerModelTools } from "./models.js";
+import { registerResponseCacheTools } from "./response-cache.js";
 import { registerSettingsTools } from "./image-settings.js";
 
 export function registerTools(
@@ -14,10 +22,18 @@ export function registerTools(
 ) {
   const apiClient = new OpenRouterAPIClient(apiKey);
   const modelCache = ModelCache.getInstance();
+  const conversationStore = createConversationStore(apiKey);
+  const responseCache = createResponseCache(apiKey);
 
-  // registerChatTools(server, apiKey, defaultModel);
-  registerImageAnalysisTools(server, apiKey, defaultModel);
+  registerChatTools(server, apiKey, defaultModel, conversationStore, responseCache);
+  registerConversationTools(server, conversationStore);
+  registerCompareModelsTools(server, apiKey);
+  registerBatchTools(server, apiKey, defaultModel, conversationStore, responseCache);
+  registerEvaluateTools(server, apiKey, defaultModel);
+  registerImageAnalysisTools(server, apiKey, defaultModel, responseCache);
+  registerAudioTools(server, apiKey);
   registerImageGenerationTools(server, apiKey);
   registerModelTools(server, apiClient, modelCache);
+  registerResponseCacheTools(server, responseCache);
   registerSettingsTools(server);
 }
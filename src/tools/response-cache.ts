@@ -0,0 +1,88 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { ResponseCache } from "../response-cache.js";
+import {
+  handleClearCache,
+  handleInspectCache,
+} from "../tool-handlers/response-cache.js";
+
+const inspectCacheSchema = z.object({
+  limit: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("Maximum number of recent entries to list (default 20)"),
+});
+
+const clearCacheSchema = z.object({
+  model: z
+    .string()
+    .optional()
+    .describe("Only delete cached responses of this model"),
+});
+
+export function registerResponseCacheTools(
+  server: McpServer,
+  responseCache: ResponseCache
+) {
+  server.tool(
+    "mcp_openrouter_inspect_cache",
+    "Show the response cache: backend, default mode, TTL, size, hits and misses this session, and the most recent entries",
+    inspectCacheSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleInspectCache(
+          { params: { arguments: args as any } },
+          responseCache
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to inspect cache: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "mcp_openrouter_clear_cache",
+    "Delete cached responses, all of them or only those of one model",
+    clearCacheSchema.shape,
+    async (args) => {
+      try {
+        const result = await handleClearCache(
+          { params: { arguments: args as any } },
+          responseCache
+        );
+        return {
+          ...result,
+          content: result.content.map((c) => ({ ...c, type: "text" as const })),
+        };
+      } catch (error: any) {
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: `Failed to clear cache: ${
+                error.message || String(error)
+              }`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+}
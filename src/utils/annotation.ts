@@ -0,0 +1,81 @@
+import sharp from "sharp";
+import { renderUpright } from "./image-ingestion.js";
+
+/**
+ * A labelled box in pixels of the upright image
+ */
+export interface BoxAnnotation {
+  label: string;
+  caption?: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// Distinct, high-contrast box colours; labels keep their colour in an image
+const PALETTE = [
+  "#e6194b",
+  "#3cb44b",
+  "#4363d8",
+  "#f58231",
+  "#911eb4",
+  "#42d4f4",
+  "#f032e6",
+  "#bfef45",
+  "#9a6324",
+  "#000075",
+];
+
+export function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * An SVG of the boxes and their captions, sized to the image. Line width
+ * and font size scale with the image so they stay readable on large photos.
+ */
+export function boxesSvg(width: number, height: number, boxes: BoxAnnotation[]): string {
+  const longest = Math.max(width, height);
+  const stroke = Math.max(2, Math.round(longest / 400));
+  const fontSize = Math.max(12, Math.round(longest / 60));
+  const padding = Math.round(fontSize / 4);
+  const colours = new Map<string, string>();
+
+  const shapes = boxes.map((box) => {
+    if (!colours.has(box.label)) {
+      colours.set(box.label, PALETTE[colours.size % PALETTE.length]);
+    }
+    const colour = colours.get(box.label)!;
+    const caption = box.caption || box.label;
+    // Rough text width; librsvg has no text metrics to ask
+    const labelWidth = Math.round(caption.length * fontSize * 0.6) + 2 * padding;
+    const labelHeight = fontSize + 2 * padding;
+    // Captions sit above the box, or inside it at the top edge of the image
+    const labelX = Math.min(box.x, Math.max(width - labelWidth, 0));
+    const labelY = box.y >= labelHeight ? box.y - labelHeight : box.y;
+    return [
+      `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" fill="none" stroke="${colour}" stroke-width="${stroke}"/>`,
+      `<rect x="${labelX}" y="${labelY}" width="${labelWidth}" height="${labelHeight}" fill="${colour}"/>`,
+      `<text x="${labelX + padding}" y="${labelY + padding + fontSize * 0.85}" font-family="sans-serif" font-size="${fontSize}" fill="#ffffff">${escapeXml(caption)}</text>`,
+    ].join("");
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join("")}</svg>`;
+}
+
+/**
+ * Draw boxes and captions onto an image, upright and at full size. The
+ * result is PNG.
+ */
+export async function annotateImage(buffer: Buffer, boxes: BoxAnnotation[]): Promise<Buffer> {
+  const { data, width, height } = await renderUpright(buffer);
+  return sharp(data)
+    .composite([{ input: Buffer.from(boxesSvg(width, height, boxes)), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,147 @@
+import path from "path";
+import {
+  ChatCompletionContentPart,
+  ChatCompletionContentPartInputAudio,
+  ChatCompletionMessageParam,
+} from "openai/resources/chat/completions.js";
+import { readFileSource } from "./media-source.js";
+import { findCachedModel } from "./context-budget.js";
+
+export type AudioFormat = "wav" | "mp3" | "ogg" | "flac" | "m4a";
+
+export type AudioContentPart = ChatCompletionContentPartInputAudio;
+
+// ISO-BMFF brands of M4A audio
+const M4A_BRANDS = new Set(["M4A ", "M4B ", "M4P "]);
+
+/**
+ * Detect WAV, MP3, Ogg, FLAC and M4A audio from their first bytes
+ */
+function sniffAudioFormat(buffer: Buffer): AudioFormat | undefined {
+  const header = buffer.subarray(0, 12).toString("latin1");
+  if (header.startsWith("RIFF") && header.substring(8, 12) === "WAVE") {
+    return "wav";
+  }
+  if (header.startsWith("OggS")) {
+    return "ogg";
+  }
+  if (header.startsWith("fLaC")) {
+    return "flac";
+  }
+  // An "ftyp" box whose major or compatible brands name M4A
+  if (header.substring(4, 8) === "ftyp" && buffer.length >= 12) {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+      if (offset === 12) continue; // minor version
+      if (M4A_BRANDS.has(buffer.subarray(offset, offset + 4).toString("latin1"))) {
+        return "m4a";
+      }
+    }
+    return undefined;
+  }
+  // ID3 tag, or a bare MPEG frame header
+  if (header.startsWith("ID3") || isMpegFrameHeader(buffer)) {
+    return "mp3";
+  }
+  return undefined;
+}
+
+/**
+ * An MPEG audio frame header: the sync bits, then a valid layer, bitrate
+ * and sample rate, so arbitrary bytes starting with 0xff are not taken for one
+ */
+function isMpegFrameHeader(buffer: Buffer): boolean {
+  return (
+    buffer.length >= 4 &&
+    buffer[0] === 0xff &&
+    (buffer[1] & 0xe0) === 0xe0 &&
+    ((buffer[1] >> 1) & 0x03) !== 0 &&
+    buffer[2] >> 4 !== 0x0f &&
+    ((buffer[2] >> 2) & 0x03) !== 0x03
+  );
+}
+
+/**
+ * Whether audio data is a local path or URL to load rather than base64.
+ * Base64 never contains ".", ":" or "\", which local paths almost always do.
+ */
+function isAudioSource(data: string): boolean {
+  return (
+    data.startsWith("data:") ||
+    data.startsWith("file://") ||
+    (path.isAbsolute(data) && /[^A-Za-z0-9+/=]/.test(data)) ||
+    /^[A-Za-z]:[\\/]/.test(data)
+  );
+}
+
+/**
+ * Load audio from a local path, file:// URL or data URL as base64 with its
+ * format. The format is always sniffed from the bytes, never taken from the
+ * file name or a declared type, so other files are never sent as audio.
+ */
+export async function loadAudio(source: string): Promise<{ data: string; format: AudioFormat }> {
+  const { buffer, filename } = await readFileSource(source);
+  const format = sniffAudioFormat(buffer);
+  if (!format) {
+    throw new Error(`${filename || "The data"} is not wav, mp3, ogg, flac or m4a audio`);
+  }
+  return { data: buffer.toString("base64"), format };
+}
+
+/**
+ * Turn an input_audio part whose data is a path or data URL into the base64
+ * data and format OpenRouter expects. Parts that already carry base64 data
+ * are passed through.
+ */
+export async function resolveAudioPart(part: AudioContentPart): Promise<AudioContentPart> {
+  const { data, format } = part.input_audio;
+  if (!isAudioSource(data)) {
+    if (!format) {
+      throw new Error("The audio format is required for base64 audio data");
+    }
+    return part;
+  }
+  const audio = await loadAudio(data);
+  // The OpenAI types only list wav and mp3; OpenRouter accepts more
+  return { type: "input_audio", input_audio: audio as ChatCompletionContentPartInputAudio.InputAudio };
+}
+
+/**
+ * Resolve the input_audio parts of every message. Also reports whether any
+ * audio is present, so models that cannot hear it are ruled out.
+ */
+export async function resolveAudioParts(
+  messages: ChatCompletionMessageParam[]
+): Promise<{ messages: ChatCompletionMessageParam[]; hasAudio: boolean }> {
+  let hasAudio = false;
+  const resolved = await Promise.all(
+    messages.map(async (message) => {
+      if (!Array.isArray(message.content)) return message;
+      if (!message.content.some((part) => part.type === "input_audio")) return message;
+
+      hasAudio = true;
+      const content = await Promise.all(
+        (message.content as ChatCompletionContentPart[]).map((part) =>
+          part.type === "input_audio" ? resolveAudioPart(part) : part
+        )
+      );
+      return { ...message, content } as ChatCompletionMessageParam;
+    })
+  );
+  return { messages: resolved, hasAudio };
+}
+
+/**
+ * Whether a model takes audio input, from architecture.input_modalities in
+ * the model cache. Models missing from the cache are given the benefit of
+ * the doubt, since OpenRouter will reject the request if they cannot.
+ */
+export function supportsAudioInput(model: string): boolean {
+  const modalities: unknown = findCachedModel(model)?.architecture?.input_modalities;
+  return !Array.isArray(modalities) || modalities.includes("audio");
+}
+
+export function formatNoAudioInputError(model: string): string {
+  const modalities: string[] = findCachedModel(model)?.architecture?.input_modalities || [];
+  return `Model ${model} does not accept audio input (input modalities: ${modalities.join(", ")}).`;
+}
@@ -0,0 +1,113 @@
+import OpenAI from "openai";
+import { ChatCompletionMessageParam } from "openai/resources/chat/completions.js";
+import { countTextTokens, getContextBudget } from "./context-budget.js";
+import { USAGE_ACCOUNTING, UsageTracker } from "./usage.js";
+
+// Cheap model used to condense dropped history unless configured otherwise
+const DEFAULT_COMPACTION_MODEL = "openai/gpt-4o-mini";
+// Prompt tokens set aside for the summary that replaces the dropped turns
+export const SUMMARY_TOKEN_RESERVE = 1024;
+
+const COMPACTION_PROMPT =
+  "You compact chat history for an assistant that can no longer see it. " +
+  "Summarize the conversation below in a few short paragraphs or bullet points. " +
+  "Keep every decision, agreed fact, constraint, name, number, file path, tool result and open task. " +
+  "Drop pleasantries and repetition. Write in the third person and do not add anything that was not said.";
+
+export type CompactionMode = "truncate" | "summarize";
+
+export interface CompactionResult {
+  summary: ChatCompletionMessageParam;
+  model: string;
+  summarizedMessages: number;
+}
+
+/**
+ * Model used for summaries: per-call override, then OPENROUTER_COMPACTION_MODEL
+ */
+export function getCompactionModel(override?: string): string {
+  return override || process.env.OPENROUTER_COMPACTION_MODEL || DEFAULT_COMPACTION_MODEL;
+}
+
+/**
+ * Render a message as a plain transcript line
+ */
+export function formatTranscriptLine(message: ChatCompletionMessageParam): string {
+  let text = "";
+  if (typeof message.content === "string") {
+    text = message.content;
+  } else if (Array.isArray(message.content)) {
+    text = message.content
+      .map((part) => (part.type === "text" ? part.text : `[${part.type}]`))
+      .join(" ");
+  }
+
+  if (message.role === "assistant" && message.tool_calls) {
+    const calls = message.tool_calls
+      .map((call) => `${call.function.name}(${call.function.arguments})`)
+      .join(", ");
+    text = `${text}${text ? " " : ""}[called tools: ${calls}]`;
+  }
+  if (message.role === "tool") {
+    return `tool result (${message.tool_call_id}): ${text}`;
+  }
+  return `${message.role}: ${text}`;
+}
+
+/**
+ * Condense dropped conversation turns into a single summary message using a
+ * cheap model. When the transcript is too long for that model, the oldest
+ * lines are left out.
+ */
+export async function summarizeMessages(
+  openai: OpenAI,
+  messages: ChatCompletionMessageParam[],
+  model: string,
+  maxSummaryTokens: number = SUMMARY_TOKEN_RESERVE,
+  usage?: UsageTracker
+): Promise<CompactionResult> {
+  const budget = getContextBudget(model, maxSummaryTokens);
+  const transcriptBudget = budget.promptBudget - countTextTokens(COMPACTION_PROMPT);
+
+  const lines: string[] = [];
+  let transcriptTokens = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const line = formatTranscriptLine(messages[i]);
+    const lineTokens = countTextTokens(line);
+    if (transcriptTokens + lineTokens > transcriptBudget) break;
+    lines.unshift(line);
+    transcriptTokens += lineTokens;
+  }
+
+  if (lines.length === 0) {
+    throw new Error(`Dropped history is too long to summarize with ${model}`);
+  }
+
+  console.error(`Compacting ${lines.length} message(s) with model: ${model}`);
+
+  const completion = await openai.chat.completions.create({
+    model,
+    messages: [
+      { role: "system", content: COMPACTION_PROMPT },
+      { role: "user", content: lines.join("\n\n") },
+    ],
+    max_tokens: maxSummaryTokens,
+    temperature: 0,
+    ...USAGE_ACCOUNTING,
+  });
+  usage?.record(completion.usage, completion.model || model, completion.id);
+
+  const summary = completion.choices[0]?.message?.content?.trim();
+  if (!summary) {
+    throw new Error(`Compaction model ${model} returned an empty summary`);
+  }
+
+  return {
+    summary: {
+      role: "system",
+      content: `Summary of the earlier conversation (${lines.length} message(s) compacted):\n\n${summary}`,
+    },
+    model: completion.model || model,
+    summarizedMessages: lines.length,
+  };
+}
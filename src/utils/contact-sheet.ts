@@ -0,0 +1,93 @@
+import sharp from "sharp";
+import { escapeXml } from "./annotation.js";
+
+export const DEFAULT_SHEET_COLUMNS = 3;
+export const DEFAULT_SHEET_CELL_SIZE = 512;
+const SHEET_QUALITY = 85;
+// Captions longer than this are cut with an ellipsis
+const MAX_CAPTION_LENGTH = 60;
+
+export interface SheetOptions {
+  columns?: number;
+  cell_size?: number;
+}
+
+export interface ContactSheet {
+  url: string;
+  width: number;
+  height: number;
+  // Positions (in the input list) of the images on the sheet, in cell order
+  images: number[];
+}
+
+/**
+ * Render one cell: the image fitted below a caption strip
+ */
+async function renderCell(image: Buffer, caption: string, size: number): Promise<Buffer> {
+  const fontSize = Math.max(12, Math.round(size / 24));
+  const captionHeight = Math.round(fontSize * 1.6);
+  const text =
+    caption.length > MAX_CAPTION_LENGTH ? `${caption.slice(0, MAX_CAPTION_LENGTH - 1)}…` : caption;
+  const fitted = await sharp(image)
+    .resize(size - 8, size - captionHeight - 8, { fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .toBuffer({ resolveWithObject: true });
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+    `<rect x="0.5" y="0.5" width="${size - 1}" height="${size - 1}" fill="none" stroke="#999999"/>` +
+    `<rect x="0" y="0" width="${size}" height="${captionHeight}" fill="#000000"/>` +
+    `<text x="${fontSize / 2}" y="${fontSize * 1.15}" font-family="sans-serif" font-size="${fontSize}" fill="#ffffff">${escapeXml(text)}</text>` +
+    `</svg>`;
+
+  return sharp({ create: { width: size, height: size, channels: 3, background: "#ffffff" } })
+    .composite([
+      {
+        input: fitted.data,
+        left: Math.round((size - fitted.info.width) / 2),
+        top: captionHeight + Math.round((size - captionHeight - fitted.info.height) / 2),
+      },
+      { input: Buffer.from(svg), left: 0, top: 0 },
+    ])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Arrange images on contact sheets: square grids of `columns` x `columns`
+ * cells, each captioned (e.g. "Image 3: loading bay") so a model can tell
+ * the images apart and refer to them. Sheets are filled in input order.
+ */
+export async function buildContactSheets(
+  images: Array<{ buffer: Buffer; caption: string }>,
+  options: SheetOptions = {}
+): Promise<ContactSheet[]> {
+  const columns = options.columns || DEFAULT_SHEET_COLUMNS;
+  const size = options.cell_size || DEFAULT_SHEET_CELL_SIZE;
+  const perSheet = columns * columns;
+  const sheets: ContactSheet[] = [];
+
+  for (let start = 0; start < images.length; start += perSheet) {
+    const batch = images.slice(start, start + perSheet);
+    const rows = Math.ceil(batch.length / columns);
+    const width = Math.min(batch.length, columns) * size;
+    const height = rows * size;
+    const cells = await Promise.all(batch.map((image) => renderCell(image.buffer, image.caption, size)));
+    const data = await sharp({ create: { width, height, channels: 3, background: "#ffffff" } })
+      .composite(
+        cells.map((cell, index) => ({
+          input: cell,
+          left: (index % columns) * size,
+          top: Math.floor(index / columns) * size,
+        }))
+      )
+      .jpeg({ quality: SHEET_QUALITY })
+      .toBuffer();
+    sheets.push({
+      url: `data:image/jpeg;base64,${data.toString("base64")}`,
+      width,
+      height,
+      images: batch.map((_, index) => start + index),
+    });
+  }
+  return sheets;
+}
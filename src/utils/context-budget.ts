@@ -0,0 +1,186 @@
+import sharp from "sharp";
+import { countTokens } from "gpt-tokenizer/encoding/o200k_base";
+import { ChatCompletionMessageParam } from "openai/resources/chat/completions.js";
+import { ModelCache } from "../model-cache.js";
+
+// Used when the model is not in the cache (e.g. the models list is unreachable)
+const FALLBACK_CONTEXT_TOKENS = 200000;
+// Completion space reserved when the provider does not publish a limit
+const DEFAULT_COMPLETION_RESERVE = 4096;
+// Other providers' tokenizers differ from o200k; keep some headroom
+const TOKENIZER_SAFETY_MARGIN = 0.05;
+// Role and separator tokens added around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Images whose size cannot be read (remote URLs) cost this much
+const UNKNOWN_IMAGE_TOKENS = 1000;
+const LOW_DETAIL_IMAGE_TOKENS = 85;
+// Documents are parsed by OpenRouter, so only a rough per-page estimate is
+// possible; URLs and file ids cannot be inspected at all
+const PDF_PAGE_TOKENS = 1500;
+const UNKNOWN_FILE_TOKENS = 10000;
+// Audio models bill roughly 32 tokens per second; at a typical 16 kB per
+// second of audio that is one token per 500 bytes
+const AUDIO_BYTES_PER_TOKEN = 500;
+
+export interface ContextBudget {
+  model: string;
+  contextLength: number;
+  completionReserve: number;
+  promptBudget: number;
+  source: "model" | "fallback";
+}
+
+/**
+ * Look up a model in the cache, ignoring variant suffixes like ":online"
+ */
+export function findCachedModel(model: string): any | null {
+  const modelCache = ModelCache.getInstance();
+  return (
+    modelCache.getModel(model) || modelCache.getModel(model.split(":")[0])
+  );
+}
+
+/**
+ * Work out how many prompt tokens can be sent to a model, leaving room for
+ * the completion. Uses the model's context_length and
+ * top_provider.max_completion_tokens from the model cache.
+ */
+export function getContextBudget(model: string, maxTokens?: number): ContextBudget {
+  const modelInfo = findCachedModel(model);
+
+  // Some providers serve a model with less context than it supports
+  const limits = [
+    modelInfo?.context_length,
+    modelInfo?.top_provider?.context_length,
+  ].filter((limit): limit is number => typeof limit === "number" && limit > 0);
+  const contextLength = limits.length
+    ? Math.min(...limits)
+    : FALLBACK_CONTEXT_TOKENS;
+
+  const completionReserve = Math.min(
+    maxTokens ??
+      modelInfo?.top_provider?.max_completion_tokens ??
+      DEFAULT_COMPLETION_RESERVE,
+    Math.floor(contextLength / 2)
+  );
+
+  return {
+    model,
+    contextLength,
+    completionReserve,
+    promptBudget: Math.floor(
+      (contextLength - completionReserve) * (1 - TOKENIZER_SAFETY_MARGIN)
+    ),
+    source: limits.length ? "model" : "fallback",
+  };
+}
+
+/**
+ * Count text tokens with a BPE tokenizer
+ */
+export function countTextTokens(text: string): number {
+  return countTokens(text);
+}
+
+/**
+ * Estimate the token cost of an image from its pixel dimensions. Follows the
+ * common tiling scheme: fit within 2048x2048, scale the short side to 768,
+ * then charge per 512px tile.
+ */
+export function estimateImageTokensFromSize(
+  width: number,
+  height: number,
+  detail?: string
+): number {
+  if (detail === "low") {
+    return LOW_DETAIL_IMAGE_TOKENS;
+  }
+
+  const fitScale = Math.min(1, 2048 / Math.max(width, height));
+  let scaledWidth = width * fitScale;
+  let scaledHeight = height * fitScale;
+
+  const shortSideScale = Math.min(1, 768 / Math.min(scaledWidth, scaledHeight));
+  scaledWidth *= shortSideScale;
+  scaledHeight *= shortSideScale;
+
+  const tiles = Math.ceil(scaledWidth / 512) * Math.ceil(scaledHeight / 512);
+  return LOW_DETAIL_IMAGE_TOKENS + 170 * tiles;
+}
+
+/**
+ * Estimate the token cost of an image URL, reading dimensions from data URLs
+ */
+export async function estimateImageTokens(url: string, detail?: string): Promise<number> {
+  if (detail === "low") {
+    return LOW_DETAIL_IMAGE_TOKENS;
+  }
+
+  const match = url.match(/^data:[^;]+;base64,(.+)$/);
+  if (!match) {
+    return UNKNOWN_IMAGE_TOKENS;
+  }
+
+  try {
+    const { width, height } = await sharp(Buffer.from(match[1], "base64")).metadata();
+    if (width && height) {
+      return estimateImageTokensFromSize(width, height, detail);
+    }
+  } catch (error: any) {
+    console.error(`Could not read image dimensions: ${error.message}`);
+  }
+  return UNKNOWN_IMAGE_TOKENS;
+}
+
+/**
+ * Estimate the tokens of a file part from its page count (PDF data URLs only)
+ */
+export function estimateFileTokens(fileData?: string): number {
+  const match = fileData?.match(/^data:application\/pdf;base64,(.+)$/);
+  if (!match) {
+    return UNKNOWN_FILE_TOKENS;
+  }
+  const pdf = Buffer.from(match[1], "base64").toString("latin1");
+  const pages = (pdf.match(/\/Type\s*\/Page(?!s)/g) || []).length;
+  return Math.max(1, pages) * PDF_PAGE_TOKENS;
+}
+
+/**
+ * Estimate the prompt tokens a message will use, including tool calls
+ */
+export async function estimateMessageTokens(
+  message: ChatCompletionMessageParam
+): Promise<number> {
+  let messageTokens = MESSAGE_OVERHEAD_TOKENS;
+
+  if (typeof message.content === "string") {
+    messageTokens += countTextTokens(message.content);
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (part.type === "text" && part.text) {
+        messageTokens += countTextTokens(part.text);
+      } else if (part.type === "image_url") {
+        messageTokens += await estimateImageTokens(
+          part.image_url.url,
+          part.image_url.detail
+        );
+      } else if (part.type === "file") {
+        messageTokens += estimateFileTokens(part.file.file_data);
+      } else if (part.type === "input_audio") {
+        // Base64 encodes 3 bytes in 4 characters
+        messageTokens += Math.ceil((part.input_audio.data.length * 0.75) / AUDIO_BYTES_PER_TOKEN);
+      }
+    }
+  }
+
+  // Assistant messages may carry tool calls instead of (or besides) content
+  if (message.role === "assistant" && message.tool_calls) {
+    for (const toolCall of message.tool_calls) {
+      messageTokens += countTextTokens(
+        toolCall.function.name + toolCall.function.arguments
+      );
+    }
+  }
+
+  return messageTokens;
+}
@@ -0,0 +1,85 @@
+import {
+  ChatCompletionContentPart,
+  ChatCompletionMessageParam,
+} from "openai/resources/chat/completions.js";
+import { isPdf, readFileSource, sniffImageFormat } from "./media-source.js";
+import { tiffPageParts } from "./image-ingestion.js";
+
+/**
+ * Engines of OpenRouter's file-parser plugin: "pdf-text" extracts embedded
+ * text (free), "mistral-ocr" OCRs scanned pages, "native" passes the file to
+ * models that read PDFs themselves
+ */
+export type PdfEngine = "pdf-text" | "mistral-ocr" | "native";
+
+export type FileContentPart = ChatCompletionContentPart.File;
+
+/**
+ * Turn a file content part into what OpenRouter accepts: local PDFs and
+ * images, by path or file:// URL, are inlined as data URLs, and TIFFs are split into one image
+ * part per page. http(s) URLs and uploaded file ids are passed through.
+ */
+export async function resolveFilePart(part: FileContentPart): Promise<ChatCompletionContentPart[]> {
+  const source = part.file.file_data;
+  if (!source || source.startsWith("http://") || source.startsWith("https://")) {
+    return [part];
+  }
+
+  const { buffer, mimeType, filename } = await readFileSource(source);
+  // Local files that are not PDFs or images are refused before their bytes
+  // go anywhere, so a file part cannot be used to read other files
+  if (!source.startsWith("data:") && !isPdf(buffer) && !sniffImageFormat(buffer)) {
+    throw new Error(`${filename || source} is not a PDF or image`);
+  }
+  const name = part.file.filename || filename || "document";
+
+  if (mimeType === "image/tiff") {
+    return tiffPageParts(buffer, name);
+  }
+
+  return [
+    {
+      type: "file",
+      file: {
+        filename: name,
+        file_data: `data:${mimeType};base64,${buffer.toString("base64")}`,
+      },
+    },
+  ];
+}
+
+/**
+ * Resolve the file parts of every message. Also reports whether any file
+ * parts are left, so the file-parser plugin is only configured when needed.
+ */
+export async function resolveDocumentParts(
+  messages: ChatCompletionMessageParam[]
+): Promise<{ messages: ChatCompletionMessageParam[]; hasFiles: boolean }> {
+  const resolved = await Promise.all(
+    messages.map(async (message) => {
+      if (!Array.isArray(message.content)) return message;
+      if (!message.content.some((part) => part.type === "file")) return message;
+
+      const parts = await Promise.all(
+        (message.content as ChatCompletionContentPart[]).map((part) =>
+          part.type === "file" ? resolveFilePart(part) : [part]
+        )
+      );
+      return { ...message, content: parts.flat() } as ChatCompletionMessageParam;
+    })
+  );
+  const hasFiles = resolved.some(
+    (message) =>
+      Array.isArray(message.content) &&
+      message.content.some((part) => part.type === "file")
+  );
+  return { messages: resolved, hasFiles };
+}
+
+/**
+ * Request parameters selecting the file-parser engine. Without an engine
+ * OpenRouter picks one itself (native where the model supports files).
+ */
+export function fileParserPlugins(engine?: PdfEngine) {
+  return engine ? { plugins: [{ id: "file-parser", pdf: { engine } }] } : {};
+}
@@ -0,0 +1,185 @@
+import path from "path";
+import { promises as fs } from "fs";
+import { fileURLToPath } from "url";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { RootsListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * Which local files tools may read and write. Read from the environment:
+ * - LOCAL_FILE_ROOTS: directories tools may use, separated by the path
+ *   delimiter (":" on Linux and macOS, ";" on Windows). Unset means any path.
+ * - LOCAL_FILE_ACCESS=off turns local file access off; =on turns it on in
+ *   gateway mode
+ * - MCP_GATEWAY=on is set by the HTTP gateway for its per-user processes.
+ *   Users there share the host, so local file access is off unless an admin
+ *   sets LOCAL_FILE_ACCESS=on.
+ * Roots the MCP client announces narrow this further.
+ */
+export interface FileAccessPolicy {
+  enabled: boolean;
+  // The configured roots, as given and with symlinks resolved
+  roots?: string[];
+}
+
+let cachedPolicy: Promise<FileAccessPolicy> | undefined;
+// The client's roots, as given and resolved. Undefined when the client does
+// not support roots; empty when it announced none, which allows no files.
+let clientRoots: string[] | undefined;
+// Why the client's roots are unknown, when listing them failed
+let clientRootsError: string | undefined;
+let pendingClientRoots: Promise<void> | undefined;
+
+/**
+ * A root as given and as its real path, so paths can be checked both
+ * before and after resolving symlinks. A root that does not exist can
+ * hold no files, so it is dropped.
+ */
+async function resolveRoots(roots: string[]): Promise<string[]> {
+  const resolved = await Promise.all(
+    roots.map(async (root) => {
+      try {
+        return [path.resolve(root), await fs.realpath(root)];
+      } catch {
+        console.error(`Ignoring file root ${root}: it does not exist`);
+        return [];
+      }
+    })
+  );
+  return [...new Set(resolved.flat())];
+}
+
+async function loadPolicy(): Promise<FileAccessPolicy> {
+  const setting = process.env.LOCAL_FILE_ACCESS;
+  const enabled = setting ? setting === "on" : process.env.MCP_GATEWAY !== "on";
+  const configured = (process.env.LOCAL_FILE_ROOTS || "").split(path.delimiter).filter(Boolean);
+  for (const root of configured) {
+    if (!path.isAbsolute(root)) {
+      throw new Error(`LOCAL_FILE_ROOTS entries must be absolute paths: ${root}`);
+    }
+  }
+  return {
+    enabled,
+    ...(configured.length > 0 && { roots: await resolveRoots(configured) }),
+  };
+}
+
+export function getFileAccessPolicy(): Promise<FileAccessPolicy> {
+  if (!cachedPolicy) {
+    cachedPolicy = loadPolicy();
+  }
+  return cachedPolicy;
+}
+
+/**
+ * Set the roots announced by the client (absolute paths). An empty list
+ * allows no local files at all.
+ */
+export async function setClientRoots(roots: string[]): Promise<void> {
+  clientRoots = await resolveRoots(roots);
+  clientRootsError = undefined;
+}
+
+/**
+ * Follow the client's roots: fetch them once the client has initialized,
+ * if it supports roots, and again whenever it says they changed. While they
+ * cannot be listed, local file access is denied rather than left open.
+ */
+export function watchClientRoots(server: Server): void {
+  const refresh = async () => {
+    if (!server.getClientCapabilities()?.roots) return;
+    try {
+      const { roots } = await server.listRoots();
+      await setClientRoots(
+        roots.filter((root) => root.uri.startsWith("file://")).map((root) => fileURLToPath(root.uri))
+      );
+      console.error(`Client roots: ${clientRoots!.length > 0 ? clientRoots!.join(", ") : "none"}`);
+    } catch (error: any) {
+      clientRoots = [];
+      clientRootsError = error.message;
+      console.error(`Could not list client roots: ${error.message}`);
+    }
+  };
+  const update = () => {
+    pendingClientRoots = refresh();
+    return pendingClientRoots;
+  };
+  server.oninitialized = () => {
+    void update();
+  };
+  server.setNotificationHandler(RootsListChangedNotificationSchema, update);
+}
+
+function isInside(filePath: string, root: string): boolean {
+  const relative = path.relative(root, filePath);
+  return relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative));
+}
+
+/**
+ * Real path of a file that may not exist yet: the nearest existing
+ * ancestor is resolved and the rest appended
+ */
+async function realPathForWrite(filePath: string): Promise<string> {
+  const rest: string[] = [];
+  let current = filePath;
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), ...rest);
+    } catch (error: any) {
+      if (error.code !== "ENOENT" || path.dirname(current) === current) throw error;
+      rest.unshift(path.basename(current));
+      current = path.dirname(current);
+    }
+  }
+}
+
+/**
+ * Check that a tool may read (or write) a local path, and return its real
+ * path with symlinks resolved. Paths are checked after resolving symlinks,
+ * so a link inside a root cannot point outside it. Reads must be regular
+ * files, which keeps out devices, FIFOs and directories.
+ */
+export async function resolveAllowedPath(
+  filePath: string,
+  access: "read" | "write" = "read"
+): Promise<string> {
+  const policy = await getFileAccessPolicy();
+  if (!policy.enabled) {
+    throw new Error("Local file access is disabled on this server; pass the file as a URL or data URL instead");
+  }
+  if (!path.isAbsolute(filePath)) {
+    throw new Error(`File path must be absolute: ${filePath}`);
+  }
+
+  await pendingClientRoots;
+  if (clientRootsError) {
+    throw new Error(
+      `Local file access is denied because the client's roots could not be listed: ${clientRootsError}`
+    );
+  }
+  const checkRoots = (candidate: string) => {
+    for (const roots of [policy.roots, clientRoots]) {
+      if (roots && !roots.some((root) => isInside(candidate, root))) {
+        throw new Error(`${filePath} is outside the directories this server may access`);
+      }
+    }
+  };
+
+  // The path as given is checked first, so errors cannot reveal which
+  // files exist outside the roots; then again with symlinks resolved
+  checkRoots(path.resolve(filePath));
+  let realPath: string;
+  try {
+    realPath = access === "read" ? await fs.realpath(filePath) : await realPathForWrite(filePath);
+  } catch (error: any) {
+    if (error.code === "ENOENT") {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    throw new Error(`Failed to access ${filePath}: ${error.message}`);
+  }
+  checkRoots(realPath);
+
+  if (access === "read" && !(await fs.stat(realPath)).isFile()) {
+    throw new Error(`${filePath} is not a regular file`);
+  }
+  return realPath;
+}
@@ -0,0 +1,633 @@
+import path from "path";
+import sharp from "sharp";
+import {
+  ChatCompletionContentPart,
+  ChatCompletionMessageParam,
+} from "openai/resources/chat/completions.js";
+import {
+  IMAGE_MIME_TYPES,
+  ImageFormat,
+  isPdf,
+  readFileSource,
+  sniffImageFormat,
+} from "./media-source.js";
+import { safeFetch } from "./safe-fetch.js";
+
+// Longest side of images sent to models; larger images are scaled down
+export const MAX_IMAGE_DIMENSION = 800;
+
+// Pages of a multi-page TIFF sent as images; later pages are left out
+export const MAX_TIFF_PAGES = 20;
+
+// Tiles an image is split into at most; tiles grow to stay within it
+export const MAX_TILES = 16;
+export const DEFAULT_TILE_SIZE = 1024;
+export const DEFAULT_TILE_OVERLAP = 0.15;
+const TILE_QUALITY = 90;
+// BMPs are decoded by hand, so they get sharp's default limitInputPixels
+const MAX_BMP_PIXELS = 0x3fff * 0x3fff;
+// Enough bytes for the header fields every BMP is read for
+const MIN_BMP_HEADER_SIZE = 30;
+
+const JPEG_QUALITY = 80;
+const FETCH_TIMEOUT = 15000; // ms
+const MAX_FETCH_ATTEMPTS = 3;
+const RETRY_DELAY = 1000; // ms
+// Servers often label images as application/octet-stream; the bytes are
+// sniffed after download either way
+const REMOTE_CONTENT_TYPES = ["image/", "application/pdf", "application/octet-stream"];
+
+// Formats every vision model accepts as-is; the rest are converted to JPEG
+const PASSTHROUGH_FORMATS = new Set<ImageFormat>(["jpeg", "png", "webp", "gif"]);
+
+const SUPPORTED_FORMATS = "JPEG, PNG, GIF, WebP, BMP, TIFF, HEIC, AVIF or SVG";
+
+/**
+ * An image ready to send to a model
+ */
+export interface PreparedImage {
+  url: string;
+  mimeType: string;
+  // Format of the original bytes
+  format: ImageFormat;
+  width?: number;
+  height?: number;
+  // Frames of an animated GIF or WebP; only the first one is sent
+  frames: number;
+  converted: boolean;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRemote = (source: string) =>
+  source.startsWith("http://") || source.startsWith("https://");
+
+/**
+ * Download a remote image through the SSRF-safe fetcher, retrying with
+ * backoff on network errors, timeouts and server errors. Refused URLs
+ * (private addresses, blocked hosts, oversized bodies...) are not retried.
+ */
+async function fetchRemote(url: string): Promise<Buffer> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await safeFetch(url, { contentTypes: REMOTE_CONTENT_TYPES, timeoutMs: FETCH_TIMEOUT });
+    } catch (error: any) {
+      const retryable =
+        error.code === "network_error" ||
+        error.code === "timeout" ||
+        (error.code === "http_error" && (error.status >= 500 || error.status === 429));
+      if (!retryable || attempt >= MAX_FETCH_ATTEMPTS) {
+        throw new Error(`Failed to fetch ${url}: ${error.message}`);
+      }
+      console.error(`Fetching ${url} failed (attempt ${attempt}/${MAX_FETCH_ATTEMPTS}): ${error.message}`);
+      await sleep(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Read an image source: an http(s) URL, data URL, file:// URL or absolute
+ * local path
+ */
+export async function readImageSource(
+  source: string
+): Promise<{ buffer: Buffer; filename?: string }> {
+  if (isRemote(source)) {
+    const buffer = await fetchRemote(source);
+    const filename = path.basename(new URL(source).pathname) || undefined;
+    return { buffer, filename };
+  }
+  const { buffer, filename } = await readFileSource(source);
+  // Local files that are not images are refused before their bytes go
+  // anywhere, so an image path cannot be used to read other files
+  if (!source.startsWith("data:") && !sniffImageFormat(buffer) && !isPdf(buffer)) {
+    throw new Error(`${filename || source} is not an image or PDF`);
+  }
+  return { buffer, filename };
+}
+
+function decodeError(format: ImageFormat, error: any): Error {
+  if (format === "heic") {
+    return new Error(
+      "HEIC images cannot be decoded by this server's image library; convert the image to JPEG or PNG"
+    );
+  }
+  return new Error(`Could not decode ${format.toUpperCase()} image: ${error.message || error}`);
+}
+
+/**
+ * Decode an uncompressed BMP (1, 4, 8, 24 or 32 bits per pixel) to raw RGBA,
+ * since sharp cannot read BMP
+ */
+function decodeBmp(buffer: Buffer): { data: Buffer; width: number; height: number } {
+  if (buffer.length < MIN_BMP_HEADER_SIZE) {
+    throw new Error("BMP image data is truncated");
+  }
+  const pixelOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  if (buffer.length < 14 + Math.min(headerSize, 40)) {
+    throw new Error("BMP image data is truncated");
+  }
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = headerSize >= 40 ? buffer.readUInt32LE(30) : 0;
+  // BI_RGB, or BI_BITFIELDS with the usual BGRA masks
+  if (compression !== 0 && !(compression === 3 && bitsPerPixel === 32)) {
+    throw new Error("compressed BMP images are not supported");
+  }
+  if (![1, 4, 8, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`${bitsPerPixel}-bit BMP images are not supported`);
+  }
+
+  const height = Math.abs(rawHeight);
+  const bottomUp = rawHeight > 0;
+  const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+  // Checked before the pixel buffer is allocated, so a small file with a
+  // forged header cannot make it huge
+  if (width <= 0 || height === 0 || pixelOffset + stride * height > buffer.length) {
+    throw new Error("BMP image data is truncated");
+  }
+  if (width * height > MAX_BMP_PIXELS) {
+    throw new Error(`BMP image of ${width}x${height} pixels is larger than ${MAX_BMP_PIXELS} pixels`);
+  }
+
+  const paletteOffset = 14 + headerSize;
+  const colorsUsed = headerSize >= 40 ? buffer.readUInt32LE(46) : 0;
+  const paletteSize = bitsPerPixel <= 8 ? colorsUsed || 2 ** bitsPerPixel : 0;
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = pixelOffset + (bottomUp ? height - 1 - y : y) * stride;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let offset: number;
+      if (bitsPerPixel <= 8) {
+        const bit = x * bitsPerPixel;
+        const byte = buffer[row + (bit >> 3)];
+        const index = (byte >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        offset = paletteOffset + Math.min(index, paletteSize - 1) * 4;
+      } else {
+        offset = row + x * (bitsPerPixel / 8);
+      }
+      data[out] = buffer[offset + 2];
+      data[out + 1] = buffer[offset + 1];
+      data[out + 2] = buffer[offset];
+      data[out + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Open image bytes with sharp, decoding BMPs first
+ */
+function openImage(buffer: Buffer, format: ImageFormat, options: sharp.SharpOptions = {}): sharp.Sharp {
+  if (format === "bmp") {
+    const { data, width, height } = decodeBmp(buffer);
+    return sharp(data, { raw: { width, height, channels: 4 } });
+  }
+  return sharp(buffer, options);
+}
+
+/**
+ * How much resolution an image keeps: "low" for a quick look, "high" for
+ * small text in screenshots and scans, "original" for the full resolution.
+ * Without a detail level images are limited to MAX_IMAGE_DIMENSION.
+ */
+export type ImageDetail = "low" | "high" | "original";
+
+const DETAIL_SETTINGS: Record<ImageDetail | "default", { maxDimension?: number; quality: number }> = {
+  low: { maxDimension: 512, quality: 75 },
+  default: { maxDimension: MAX_IMAGE_DIMENSION, quality: JPEG_QUALITY },
+  high: { maxDimension: 2048, quality: 90 },
+  original: { quality: 95 },
+};
+
+/**
+ * A region to zoom into, in pixels of the upright image (after EXIF
+ * rotation) or, with unit "normalized", as fractions of its width and height
+ */
+export interface CropRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  unit?: "px" | "normalized";
+}
+
+export interface ImageOptions {
+  detail?: ImageDetail;
+  crop?: CropRegion;
+}
+
+/**
+ * An image decoded far enough to know its format and upright size
+ */
+interface ImageSource {
+  buffer: Buffer;
+  format: ImageFormat;
+  width: number;
+  height: number;
+  frames: number;
+  // Render density for SVGs, which have no pixel size of their own
+  density?: number;
+}
+
+async function inspectImage(buffer: Buffer, targetDimension?: number): Promise<ImageSource> {
+  const format = sniffImageFormat(buffer);
+  if (!format) {
+    throw new Error(`Unsupported image format: expected ${SUPPORTED_FORMATS}`);
+  }
+
+  let metadata: sharp.Metadata;
+  try {
+    metadata = await openImage(buffer, format, { animated: true }).metadata();
+  } catch (error) {
+    throw decodeError(format, error);
+  }
+
+  const frames = format === "gif" || format === "webp" ? metadata.pages || 1 : 1;
+  let width = metadata.width || 0;
+  let height = metadata.pageHeight || metadata.height || 0;
+  // EXIF orientations 5-8 turn the image on its side
+  if ((metadata.orientation || 1) >= 5) {
+    [width, height] = [height, width];
+  }
+
+  // SVGs are rendered at a density that makes them about the target size
+  let density: number | undefined;
+  const largest = Math.max(width, height);
+  if (format === "svg" && largest > 0 && targetDimension) {
+    density = Math.min(Math.max((72 * targetDimension) / largest, 72), 2400);
+    width = Math.round((width * density) / 72);
+    height = Math.round((height * density) / 72);
+  }
+
+  return { buffer, format, width, height, frames, density };
+}
+
+/**
+ * Resolve a crop region to whole pixels inside a width x height image
+ */
+export function resolveCrop(crop: CropRegion, width: number, height: number): sharp.Region {
+  const [scaleX, scaleY] = crop.unit === "normalized" ? [width, height] : [1, 1];
+  const clamp = (value: number, max: number) => Math.min(Math.max(Math.round(value), 0), max);
+  const left = clamp(crop.x * scaleX, width);
+  const top = clamp(crop.y * scaleY, height);
+  const right = clamp((crop.x + crop.width) * scaleX, width);
+  const bottom = clamp((crop.y + crop.height) * scaleY, height);
+  if (right - left < 1 || bottom - top < 1) {
+    throw new Error(`Crop region lies outside the ${width}x${height} image`);
+  }
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Open an inspected image upright, optionally cropped to a region
+ */
+function openUpright(image: ImageSource, region?: sharp.Region): sharp.Sharp {
+  const pipeline = openImage(image.buffer, image.format, image.density ? { density: image.density } : {}).rotate();
+  return region ? pipeline.extract(region) : pipeline;
+}
+
+/**
+ * Turn image bytes into an image models accept. The format is sniffed from
+ * the bytes, not the file name. JPEG, PNG, WebP and still GIFs that fit the
+ * detail level uncropped are sent unchanged; everything else (larger
+ * images, crops, animations, BMP, TIFF, HEIC, AVIF, SVG) is auto-rotated,
+ * cropped, scaled down, flattened onto white and encoded as JPEG.
+ * Animations keep their first frame.
+ */
+export async function prepareImage(buffer: Buffer, options: ImageOptions = {}): Promise<PreparedImage> {
+  const settings = DETAIL_SETTINGS[options.detail || "default"];
+  const image = await inspectImage(buffer, settings.maxDimension);
+  const { format, width, height, frames } = image;
+
+  const fits = !settings.maxDimension || Math.max(width, height) <= settings.maxDimension;
+  if (PASSTHROUGH_FORMATS.has(format) && frames === 1 && fits && !options.crop) {
+    const mimeType = IMAGE_MIME_TYPES[format];
+    return {
+      url: `data:${mimeType};base64,${buffer.toString("base64")}`,
+      mimeType,
+      format,
+      width,
+      height,
+      frames,
+      converted: false,
+    };
+  }
+
+  const region = options.crop ? resolveCrop(options.crop, width, height) : undefined;
+  let output: { data: Buffer; info: sharp.OutputInfo };
+  try {
+    let pipeline = openUpright(image, region);
+    if (settings.maxDimension) {
+      pipeline = pipeline.resize(settings.maxDimension, settings.maxDimension, {
+        fit: "inside",
+        withoutEnlargement: true,
+      });
+    }
+    output = await pipeline
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: settings.quality })
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw decodeError(format, error);
+  }
+
+  return {
+    url: `data:image/jpeg;base64,${output.data.toString("base64")}`,
+    mimeType: "image/jpeg",
+    format,
+    width: output.info.width,
+    height: output.info.height,
+    frames,
+    converted: true,
+  };
+}
+
+/**
+ * Prepare each page of a (multi-page) TIFF as its own image
+ */
+export async function splitTiffPages(
+  buffer: Buffer,
+  options: ImageOptions = {}
+): Promise<{ pages: PreparedImage[]; totalPages: number }> {
+  const { pages, totalPages } = await imagePages(buffer);
+  const prepared: PreparedImage[] = [];
+  for (const page of pages) {
+    prepared.push(await prepareImage(page, options));
+  }
+  return { pages: prepared, totalPages };
+}
+
+/**
+ * Image content part, asking models with a detail setting (OpenAI) for
+ * high detail when the image was prepared at high resolution
+ */
+function imagePart(image: PreparedImage, detail?: ImageDetail): ChatCompletionContentPart {
+  return {
+    type: "image_url",
+    image_url: {
+      url: image.url,
+      ...(detail && { detail: detail === "low" ? ("low" as const) : ("high" as const) }),
+    },
+  };
+}
+
+/**
+ * Content parts for a multi-page TIFF: a note naming the pages sent,
+ * followed by one image per page
+ */
+export async function tiffPageParts(
+  buffer: Buffer,
+  name: string,
+  options: ImageOptions = {}
+): Promise<ChatCompletionContentPart[]> {
+  const { pages, totalPages } = await splitTiffPages(buffer, options);
+  const note =
+    totalPages > pages.length
+      ? `${name}: first ${pages.length} of ${totalPages} pages`
+      : `${name}: ${totalPages} page(s)`;
+  return [
+    { type: "text", text: note },
+    ...pages.map((page) => imagePart(page, options.detail)),
+  ];
+}
+
+export interface TileOptions {
+  crop?: CropRegion;
+  // Longest side of a tile in pixels of the original image
+  tile_size?: number;
+  // Fraction of a tile shared with its neighbours
+  overlap?: number;
+}
+
+/**
+ * One tile of an image, with its place in the (cropped) image
+ */
+export interface ImageTile {
+  row: number;
+  column: number;
+  region: sharp.Region;
+  image: PreparedImage;
+}
+
+export interface TiledImage {
+  tiles: ImageTile[];
+  // Size of the tiled (cropped) area
+  width: number;
+  height: number;
+  rows: number;
+  columns: number;
+}
+
+/**
+ * Offsets of `count` tiles of `size` spread evenly over `length`, first
+ * and last flush with the edges
+ */
+function tileOffsets(length: number, size: number, count: number): number[] {
+  if (count === 1) return [0];
+  return Array.from({ length: count }, (_, index) =>
+    Math.round((index * (length - size)) / (count - 1))
+  );
+}
+
+/**
+ * Split an image into overlapping tiles at full resolution, so small text
+ * stays legible. Tiles are tile_size pixels (or the image size, if smaller);
+ * when that would need more than MAX_TILES tiles, tiles are made larger.
+ */
+export async function tileImage(buffer: Buffer, options: TileOptions = {}): Promise<TiledImage> {
+  const image = await inspectImage(buffer);
+  const region = options.crop
+    ? resolveCrop(options.crop, image.width, image.height)
+    : { left: 0, top: 0, width: image.width, height: image.height };
+
+  const overlap = options.overlap ?? DEFAULT_TILE_OVERLAP;
+  let tileSize = options.tile_size || DEFAULT_TILE_SIZE;
+  const countFor = (length: number) =>
+    length <= tileSize ? 1 : Math.ceil((length - tileSize) / (tileSize * (1 - overlap))) + 1;
+  while (countFor(region.width) * countFor(region.height) > MAX_TILES) {
+    tileSize = Math.ceil(tileSize * 1.25);
+  }
+
+  const columns = countFor(region.width);
+  const rows = countFor(region.height);
+  const tileWidth = Math.min(tileSize, region.width);
+  const tileHeight = Math.min(tileSize, region.height);
+  const lefts = tileOffsets(region.width, tileWidth, columns);
+  const tops = tileOffsets(region.height, tileHeight, rows);
+
+  const tiles: ImageTile[] = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const tileRegion = {
+        left: region.left + lefts[column],
+        top: region.top + tops[row],
+        width: tileWidth,
+        height: tileHeight,
+      };
+      let output: { data: Buffer; info: sharp.OutputInfo };
+      try {
+        output = await openUpright(image, tileRegion)
+          .flatten({ background: "#ffffff" })
+          .jpeg({ quality: TILE_QUALITY })
+          .toBuffer({ resolveWithObject: true });
+      } catch (error) {
+        throw decodeError(image.format, error);
+      }
+      tiles.push({
+        row,
+        column,
+        region: tileRegion,
+        image: {
+          url: `data:image/jpeg;base64,${output.data.toString("base64")}`,
+          mimeType: "image/jpeg",
+          format: image.format,
+          width: output.info.width,
+          height: output.info.height,
+          frames: image.frames,
+          converted: true,
+        },
+      });
+    }
+  }
+  return { tiles, width: region.width, height: region.height, rows, columns };
+}
+
+/**
+ * Load an image source and split it into tiles, see tileImage
+ */
+export async function loadImageTiles(source: string, options: TileOptions = {}): Promise<TiledImage> {
+  const { buffer } = await readImageSource(source);
+  if (isPdf(buffer)) {
+    throw new Error("Tiling needs an image, not a PDF");
+  }
+  return tileImage(buffer, options);
+}
+
+/**
+ * The pages of an image: one per page of a multi-page TIFF (as PNG, at most
+ * MAX_TIFF_PAGES), otherwise the image itself
+ */
+export async function imagePages(buffer: Buffer): Promise<{ pages: Buffer[]; totalPages: number }> {
+  if (sniffImageFormat(buffer) !== "tiff") {
+    return { pages: [buffer], totalPages: 1 };
+  }
+  let totalPages: number;
+  try {
+    totalPages = (await sharp(buffer).metadata()).pages || 1;
+  } catch (error) {
+    throw decodeError("tiff", error);
+  }
+  const pages: Buffer[] = [];
+  for (let page = 0; page < Math.min(totalPages, MAX_TIFF_PAGES); page++) {
+    pages.push(await sharp(buffer, { page }).png().toBuffer());
+  }
+  return { pages, totalPages };
+}
+
+/**
+ * Size of an image as displayed, after EXIF rotation
+ */
+export async function imageSize(buffer: Buffer): Promise<{ width: number; height: number }> {
+  const { width, height } = await inspectImage(buffer);
+  return { width, height };
+}
+
+/**
+ * Decode an image upright at its full size as PNG: the first frame of
+ * animations and the first page of TIFFs. Used to draw on the image the
+ * model saw, in the same pixel coordinates.
+ */
+export async function renderUpright(buffer: Buffer): Promise<{ data: Buffer; width: number; height: number }> {
+  const image = await inspectImage(buffer);
+  try {
+    const { data, info } = await openUpright(image).png().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (error) {
+    throw decodeError(image.format, error);
+  }
+}
+
+/**
+ * Load an image input as content parts. Every image tool goes through
+ * here, so formats and errors are handled the same way everywhere:
+ * - remote PDFs are passed to OpenRouter as a file, which fetches them itself
+ * - PDFs (detected from their bytes) are inlined as a file part
+ * - TIFFs become one image per page
+ * - other images go through prepareImage; animations get a note that only
+ *   the first frame is shown
+ */
+export async function loadImageInput(
+  source: string,
+  options: ImageOptions = {}
+): Promise<ChatCompletionContentPart[]> {
+  if (isRemote(source) && path.extname(new URL(source).pathname).toLowerCase() === ".pdf") {
+    return [{ type: "file", file: { file_data: source } }];
+  }
+
+  const { buffer, filename } = await readImageSource(source);
+  const name = filename || "image";
+
+  if (isPdf(buffer)) {
+    return [
+      {
+        type: "file",
+        file: {
+          filename: filename || "document.pdf",
+          file_data: `data:application/pdf;base64,${buffer.toString("base64")}`,
+        },
+      },
+    ];
+  }
+
+  if (sniffImageFormat(buffer) === "tiff") {
+    return tiffPageParts(buffer, name, options);
+  }
+
+  const image = await prepareImage(buffer, options);
+  if (image.frames > 1) {
+    return [
+      { type: "text", text: `${name}: first frame of an animation with ${image.frames} frames` },
+      imagePart(image, options.detail),
+    ];
+  }
+  return [imagePart(image, options.detail)];
+}
+
+/**
+ * Load the image parts of every message that carry a data URL or point at a
+ * local file, at the resolution of their detail setting. http(s) image URLs are left for OpenRouter to fetch.
+ */
+export async function resolveImageParts(
+  messages: ChatCompletionMessageParam[]
+): Promise<ChatCompletionMessageParam[]> {
+  const isLocalImage = (part: ChatCompletionContentPart) =>
+    part.type === "image_url" && !isRemote(part.image_url.url);
+
+  return Promise.all(
+    messages.map(async (message) => {
+      if (!Array.isArray(message.content)) return message;
+      const content = message.content as ChatCompletionContentPart[];
+      if (!content.some(isLocalImage)) return message;
+
+      const parts = await Promise.all(
+        content.map((part) =>
+          part.type === "image_url" && isLocalImage(part)
+            ? // "low" and "high" detail also set the resolution images are sent at
+              loadImageInput(part.image_url.url, {
+                detail:
+                  part.image_url.detail === "low" || part.image_url.detail === "high"
+                    ? part.image_url.detail
+                    : undefined,
+              })
+            : [part]
+        )
+      );
+      return { ...message, content: parts.flat() } as ChatCompletionMessageParam;
+    })
+  );
+}
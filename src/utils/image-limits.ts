@@ -0,0 +1,118 @@
+import { ChatCompletionContentPart } from "openai/resources/chat/completions.js";
+import { estimateMessageTokens, getContextBudget } from "./context-budget.js";
+
+// Images per request for models not in the table. OpenRouter's model list
+// does not publish an image limit, so this errs on the low side.
+const DEFAULT_MAX_IMAGES = 10;
+
+// Images per request by model ID prefix; the longest matching prefix wins.
+// OPENROUTER_IMAGE_LIMITS (a JSON object of the same shape) adds to or
+// overrides these.
+const MAX_IMAGES_BY_MODEL: Record<string, number> = {
+  "anthropic/": 20,
+  "google/gemini": 50,
+  "openai/": 20,
+  "x-ai/": 10,
+  "mistralai/pixtral": 8,
+  "meta-llama/llama-3.2": 1,
+  "qwen/": 10,
+};
+
+let cachedLimits: Record<string, number> | undefined;
+
+function getImageLimitTable(): Record<string, number> {
+  if (cachedLimits) return cachedLimits;
+
+  const limits = { ...MAX_IMAGES_BY_MODEL };
+  const configured = process.env.OPENROUTER_IMAGE_LIMITS;
+  if (configured) {
+    let overrides: Record<string, unknown>;
+    try {
+      overrides = JSON.parse(configured);
+    } catch (error: any) {
+      throw new Error(`Invalid OPENROUTER_IMAGE_LIMITS: ${error.message}`);
+    }
+    for (const [prefix, limit] of Object.entries(overrides)) {
+      if (!Number.isInteger(limit) || (limit as number) < 1) {
+        throw new Error(`Invalid OPENROUTER_IMAGE_LIMITS entry "${prefix}": expected a positive integer`);
+      }
+      limits[prefix] = limit as number;
+    }
+  }
+
+  cachedLimits = limits;
+  return limits;
+}
+
+/**
+ * How many images a model takes in one request
+ */
+export function getImageLimit(model: string): number {
+  const matches = Object.entries(getImageLimitTable())
+    .filter(([prefix]) => model.startsWith(prefix))
+    .sort(([a], [b]) => b.length - a.length);
+  return matches.length > 0 ? matches[0][1] : DEFAULT_MAX_IMAGES;
+}
+
+export interface RequestLimits {
+  models: string[];
+  maxImages: number;
+  promptBudget: number;
+}
+
+/**
+ * The image and prompt-token limits of one request, the tightest across a
+ * fallback chain so every batch fits whichever model ends up answering
+ */
+export function getRequestLimits(models: string[], maxImages?: number): RequestLimits {
+  return {
+    models,
+    maxImages: Math.min(...models.map((model) => maxImages ?? getImageLimit(model))),
+    promptBudget: Math.min(...models.map((model) => getContextBudget(model).promptBudget)),
+  };
+}
+
+/**
+ * Size of one item in a request: its images and estimated prompt tokens
+ */
+export async function measureParts(
+  parts: ChatCompletionContentPart[]
+): Promise<{ images: number; tokens: number }> {
+  return {
+    images: parts.filter((part) => part.type === "image_url").length,
+    tokens: await estimateMessageTokens({ role: "user", content: parts }),
+  };
+}
+
+/**
+ * Split items into consecutive batches that stay within the request
+ * limits, after `reservedTokens` for the prompt. Items keep their order; an
+ * item too large on its own gets a batch to itself.
+ */
+export function planBatches(
+  items: Array<{ images: number; tokens: number }>,
+  limits: RequestLimits,
+  reservedTokens = 0
+): number[][] {
+  const tokenBudget = limits.promptBudget - reservedTokens;
+  const batches: number[][] = [];
+  let batch: number[] = [];
+  let images = 0;
+  let tokens = 0;
+
+  items.forEach((item, index) => {
+    if (batch.length > 0 && (images + item.images > limits.maxImages || tokens + item.tokens > tokenBudget)) {
+      batches.push(batch);
+      batch = [];
+      images = 0;
+      tokens = 0;
+    }
+    batch.push(index);
+    images += item.images;
+    tokens += item.tokens;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
@@ -0,0 +1,154 @@
+import path from "path";
+import { promises as fs } from "fs";
+import { fileURLToPath } from "url";
+import { resolveAllowedPath } from "./file-access.js";
+
+/**
+ * Image formats recognized from file bytes
+ */
+export type ImageFormat =
+  | "jpeg"
+  | "png"
+  | "gif"
+  | "webp"
+  | "bmp"
+  | "tiff"
+  | "heic"
+  | "avif"
+  | "svg";
+
+export const IMAGE_MIME_TYPES: Record<ImageFormat, string> = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  tiff: "image/tiff",
+  heic: "image/heic",
+  avif: "image/avif",
+  svg: "image/svg+xml",
+};
+
+// ISO-BMFF brands of HEIF containers; "mif1"/"msf1" are generic and need
+// the compatible brands to tell AVIF from HEIC
+const HEIC_BRANDS = new Set(["heic", "heix", "heim", "heis", "hevc", "hevx", "hevm", "hevs"]);
+const AVIF_BRANDS = new Set(["avif", "avis"]);
+const GENERIC_HEIF_BRANDS = new Set(["mif1", "msf1"]);
+
+/**
+ * Tell AVIF from HEIC by the brands of an ISO-BMFF "ftyp" box
+ */
+function sniffHeifBrand(buffer: Buffer): ImageFormat | undefined {
+  if (buffer.length < 16 || buffer.subarray(4, 8).toString("latin1") !== "ftyp") {
+    return undefined;
+  }
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const major = buffer.subarray(8, 12).toString("latin1");
+  const compatible: string[] = [];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    compatible.push(buffer.subarray(offset, offset + 4).toString("latin1"));
+  }
+
+  for (const brand of [major, ...compatible]) {
+    if (AVIF_BRANDS.has(brand)) return "avif";
+    if (HEIC_BRANDS.has(brand)) return "heic";
+  }
+  return GENERIC_HEIF_BRANDS.has(major) ? "heic" : undefined;
+}
+
+/**
+ * Detect an image format from its first bytes, regardless of the file name
+ * or declared MIME type
+ */
+export function sniffImageFormat(buffer: Buffer): ImageFormat | undefined {
+  const hex = buffer.subarray(0, 8).toString("hex");
+  if (hex.startsWith("ffd8ff")) return "jpeg";
+  if (hex === "89504e470d0a1a0a") return "png";
+  if (hex.startsWith("474946383761") || hex.startsWith("474946383961")) return "gif";
+  if (hex.startsWith("49492a00") || hex.startsWith("4d4d002a")) return "tiff";
+  if (
+    buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+    buffer.subarray(8, 12).toString("latin1") === "WEBP"
+  ) {
+    return "webp";
+  }
+  if (hex.startsWith("424d") && buffer.length >= 26) return "bmp";
+
+  const heif = sniffHeifBrand(buffer);
+  if (heif) return heif;
+
+  // SVG is text: an optional BOM, XML declaration, comments or doctype,
+  // then the <svg> root element
+  const head = buffer.subarray(0, 1024).toString("utf-8").replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("<") && /<svg[\s>]/i.test(head)) return "svg";
+
+  return undefined;
+}
+
+/**
+ * Whether the bytes are a PDF document
+ */
+export function isPdf(buffer: Buffer): boolean {
+  return buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+}
+
+/**
+ * MIME type of an image or PDF detected from its bytes, or undefined
+ */
+export function sniffMimeType(buffer: Buffer): string | undefined {
+  if (isPdf(buffer)) return "application/pdf";
+  const format = sniffImageFormat(buffer);
+  return format && IMAGE_MIME_TYPES[format];
+}
+
+const MIME_TYPES_BY_EXTENSION: Record<string, string> = {
+  ".pdf": "application/pdf",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+};
+
+/**
+ * Read a file given as a data URL, file:// URL or absolute local path. The
+ * MIME type is sniffed from the bytes, falling back to the declared type
+ * or the file extension. Local paths are checked against the file access
+ * policy first.
+ */
+export async function readFileSource(
+  source: string
+): Promise<{ buffer: Buffer; mimeType: string; filename?: string }> {
+  if (source.startsWith("data:")) {
+    const match = source.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.+)$/);
+    if (!match) {
+      throw new Error("Invalid data URL: expected base64 data");
+    }
+    const buffer = Buffer.from(match[2], "base64");
+    return { buffer, mimeType: sniffMimeType(buffer) || match[1] };
+  }
+
+  const filePath = source.startsWith("file://") ? fileURLToPath(source) : source;
+  if (!path.isAbsolute(filePath)) {
+    throw new Error(`File path must be absolute: ${source}`);
+  }
+
+  // Local files are only read inside the allowed roots
+  const realPath = await resolveAllowedPath(filePath);
+  let buffer: Buffer;
+  try {
+    buffer = await fs.readFile(realPath);
+  } catch (error: any) {
+    if (error.code === "ENOENT") {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  return {
+    buffer,
+    mimeType:
+      sniffMimeType(buffer) ||
+      MIME_TYPES_BY_EXTENSION[extension] ||
+      "application/octet-stream",
+    filename: path.basename(filePath),
+  };
+}
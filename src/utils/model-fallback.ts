@@ -0,0 +1,185 @@
+export type SkipReason =
+  | "rate_limited"
+  | "server_error"
+  | "context_length_exceeded"
+  | "unsupported_parameters"
+  | "unsupported_input"
+  | "not_found"
+  | "routed_past";
+
+export interface SkippedModel {
+  model: string;
+  reason: SkipReason;
+  error?: string;
+}
+
+/**
+ * Which model answered and why the models before it did not
+ */
+export interface FallbackReport {
+  models: string[];
+  answered_by: string;
+  skipped: SkippedModel[];
+}
+
+const CONTEXT_LENGTH_PATTERN =
+  /context[ _-]?(length|window)|maximum context|too many tokens|prompt is too long|tokens? exceeds?/i;
+
+/**
+ * Raised when a prompt cannot be fitted into a model's context window, so
+ * the fallback chain can move on to a model with more room
+ */
+export class ContextLengthError extends Error {
+  readonly code = "context_length_exceeded";
+
+  constructor(message: string) {
+    super(message);
+    this.name = "ContextLengthError";
+  }
+}
+
+/**
+ * Raised when every model in a fallback chain failed
+ */
+export class ModelFallbackError extends Error {
+  constructor(public readonly skipped: SkippedModel[]) {
+    super(
+      `All models failed: ${skipped
+        .map((entry) => `${entry.model} (${entry.reason}${entry.error ? `: ${entry.error}` : ""})`)
+        .join("; ")}`
+    );
+    this.name = "ModelFallbackError";
+  }
+}
+
+/**
+ * The primary model followed by the fallbacks, without duplicates
+ */
+export function buildModelChain(model: string, fallbacks?: string[]): string[] {
+  return [...new Set([model, ...(fallbacks || [])])];
+}
+
+/**
+ * Split off models that a pre-flight check rules out, keeping the order of
+ * the rest
+ */
+export function screenModels(
+  models: string[],
+  check: (model: string) => Omit<SkippedModel, "model"> | undefined
+): { models: string[]; skipped: SkippedModel[] } {
+  const kept: string[] = [];
+  const skipped: SkippedModel[] = [];
+  for (const model of models) {
+    const problem = check(model);
+    if (problem) {
+      skipped.push({ model, ...problem });
+    } else {
+      kept.push(model);
+    }
+  }
+  return { models: kept, skipped };
+}
+
+/**
+ * Why an error should move on to the next model, or undefined when retrying
+ * with another model would not help (bad request, auth, ...)
+ */
+export function getFallbackReason(error: any): SkipReason | undefined {
+  if (error?.code === "context_length_exceeded") {
+    return "context_length_exceeded";
+  }
+
+  // Errors sent mid-stream carry the HTTP status in the error body's code
+  const status =
+    typeof error?.status === "number"
+      ? error.status
+      : typeof error?.code === "number"
+      ? error.code
+      : undefined;
+
+  if (status === 429) return "rate_limited";
+  if (status !== undefined && status >= 500) return "server_error";
+  if ((status === 400 || status === 413) && CONTEXT_LENGTH_PATTERN.test(error?.message || "")) {
+    return "context_length_exceeded";
+  }
+  return undefined;
+}
+
+/**
+ * Whether a model id OpenRouter reports matches a requested slug. Responses
+ * may drop the variant suffix (":free") or add a dated version.
+ */
+function isSameModel(answered: string, requested: string): boolean {
+  const base = requested.split(":")[0];
+  return answered === requested || answered === base || answered.startsWith(`${base}-`);
+}
+
+/**
+ * One-line summary of a fallback, or an empty string when the first model
+ * answered
+ */
+export function formatFallbackNote(report: FallbackReport): string {
+  if (report.skipped.length === 0) {
+    return "";
+  }
+  const skipped = report.skipped
+    .map((entry) => `${entry.model} (${entry.reason})`)
+    .join(", ");
+  return `Answered by ${report.answered_by} after skipping ${skipped}`;
+}
+
+/**
+ * Call `attempt` with each model in turn until one succeeds. The remaining
+ * models are passed along so they can also be sent as OpenRouter's native
+ * `models` routing list; when OpenRouter itself routes past a model, the
+ * answering model is picked out of the result with `answeredModel`.
+ */
+export async function runWithModelFallback<T>(
+  models: string[],
+  attempt: (model: string, fallbacks: string[]) => Promise<T>,
+  options: {
+    skipped?: SkippedModel[];
+    answeredModel?: (result: T) => string | undefined;
+  } = {}
+): Promise<{ result: T; report: FallbackReport }> {
+  const skipped = [...(options.skipped || [])];
+  const allModels = [...skipped.map((entry) => entry.model), ...models];
+
+  for (let i = 0; i < models.length; i++) {
+    const model = models[i];
+    const fallbacks = models.slice(i + 1);
+    try {
+      const result = await attempt(model, fallbacks);
+
+      let answeredBy = model;
+      const reported = options.answeredModel?.(result);
+      if (reported && !isSameModel(reported, model)) {
+        const routedTo = fallbacks.findIndex((fallback) => isSameModel(reported, fallback));
+        if (routedTo >= 0) {
+          skipped.push({ model, reason: "routed_past" });
+          for (const routedPast of fallbacks.slice(0, routedTo)) {
+            skipped.push({ model: routedPast, reason: "routed_past" });
+          }
+          answeredBy = fallbacks[routedTo];
+        }
+      }
+
+      return { result, report: { models: allModels, answered_by: answeredBy, skipped } };
+    } catch (error: any) {
+      const reason = getFallbackReason(error);
+      const isLast = i === models.length - 1;
+      if (!reason || (isLast && skipped.length === 0)) {
+        throw error;
+      }
+
+      const message = error?.message || String(error);
+      skipped.push({ model, reason, error: message });
+      if (isLast) {
+        throw new ModelFallbackError(skipped);
+      }
+      console.error(`Model ${model} failed (${reason}), trying ${fallbacks[0]}: ${message}`);
+    }
+  }
+
+  throw new ModelFallbackError(skipped);
+}
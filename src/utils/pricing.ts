@@ -0,0 +1,31 @@
+import { findCachedModel } from "./context-budget.js";
+
+export interface TokenUsage {
+  prompt_tokens?: number;
+  completion_tokens?: number;
+}
+
+/**
+ * Estimate the USD cost of a completion from the per-token prices in the
+ * model cache. Returns null when the model's pricing is unknown.
+ */
+export function estimateCost(
+  model: string,
+  usage: TokenUsage | undefined
+): number | null {
+  const pricing = findCachedModel(model)?.pricing;
+  if (!pricing || !usage) {
+    return null;
+  }
+
+  const price = (value: unknown) => {
+    const parsed = parseFloat(String(value ?? 0));
+    return Number.isFinite(parsed) ? parsed : 0;
+  };
+
+  return (
+    (usage.prompt_tokens || 0) * price(pricing.prompt) +
+    (usage.completion_tokens || 0) * price(pricing.completion) +
+    price(pricing.request)
+  );
+}
@@ -0,0 +1,43 @@
+import { RequestHandlerExtra } from "@modelcontextprotocol/sdk/shared/protocol.js";
+import {
+  ServerNotification,
+  ServerRequest,
+} from "@modelcontextprotocol/sdk/types.js";
+
+export type ToolExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+/**
+ * Callback used by handlers to report partial output while they work
+ */
+export type ProgressReporter = (
+  message: string,
+  progress: number
+) => Promise<void>;
+
+/**
+ * Create a reporter that forwards partial output to the client as
+ * `notifications/progress`, keyed by the request's progressToken.
+ * Returns undefined when the client did not ask for progress updates.
+ */
+export function createProgressReporter(
+  extra?: ToolExtra
+): ProgressReporter | undefined {
+  const progressToken = extra?._meta?.progressToken;
+  if (!extra || progressToken === undefined) {
+    return undefined;
+  }
+
+  return async (message: string, progress: number) => {
+    try {
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress, message },
+      });
+    } catch (error: any) {
+      // A client that went away should not abort the underlying call
+      console.error(
+        `Failed to send progress notification: ${error.message || error}`
+      );
+    }
+  };
+}
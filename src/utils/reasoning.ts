@@ -0,0 +1,53 @@
+// Some providers inline the trace in the answer instead of the reasoning field
+const INLINE_REASONING_PATTERN = /^\s*<think>([\s\S]*?)<\/think>\s*/;
+
+/**
+ * Separate the answer from the reasoning trace, moving a leading
+ * <think>...</think> block out of the answer text
+ */
+export function splitReasoning(
+  text: string,
+  reasoning?: string | null
+): { text: string; reasoning: string } {
+  const match = text.match(INLINE_REASONING_PATTERN);
+  if (!match) {
+    return { text, reasoning: reasoning || "" };
+  }
+  return {
+    text: text.slice(match[0].length),
+    reasoning: [reasoning, match[1].trim()].filter(Boolean).join("\n\n"),
+  };
+}
+
+/**
+ * The answer part of a reply streamed so far. While the reply is, or may
+ * still turn out to start with, a <think>...</think> block, there is none yet.
+ */
+export function streamedAnswer(text: string): string {
+  const start = text.trimStart();
+  if ("<think>".startsWith(start)) return "";
+  if (!start.startsWith("<think>")) return text;
+  const match = text.match(INLINE_REASONING_PATTERN);
+  return match ? text.slice(match[0].length) : "";
+}
+
+/**
+ * Content block carrying the reasoning trace, kept apart from the answer and
+ * marked so clients can show or hide it. Empty when there is no trace.
+ */
+export function reasoningContent(reasoning: string, usage: any) {
+  if (!reasoning) {
+    return [];
+  }
+  return [
+    {
+      type: "text",
+      text: reasoning,
+      annotations: { audience: ["user"], priority: 0.2 },
+      _meta: {
+        kind: "reasoning",
+        reasoning_tokens: usage?.completion_tokens_details?.reasoning_tokens ?? null,
+      },
+    },
+  ];
+}
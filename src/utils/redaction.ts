@@ -0,0 +1,223 @@
+import { readFileSync } from "fs";
+import { ChatCompletionMessageParam } from "openai/resources/chat/completions.js";
+
+export type PiiType = "email" | "phone" | "credit_card" | "api_key";
+
+export const PII_TYPES: PiiType[] = ["api_key", "email", "credit_card", "phone"];
+
+/**
+ * Server-side redaction settings, from the JSON file named by
+ * PII_REDACTION_CONFIG or PII_REDACTION=on
+ */
+export interface RedactionConfig {
+  // Redact every request; calls cannot turn it off
+  enabled: boolean;
+  types: PiiType[];
+  // Custom patterns by name, e.g. { "ticket_id": "TCK-\\d{6}" }
+  patterns: Record<string, string>;
+  // Put the original values back into replies
+  restore: boolean;
+}
+
+/**
+ * What was redacted from a request, reported in tool metadata. Only counts
+ * and placeholders are reported, never the original values.
+ */
+export interface RedactionReport {
+  counts: Record<string, number>;
+  placeholders: string[];
+  restored: boolean;
+}
+
+// Keys (sk-or-v1-..., sk-ant-..., sk-proj-...) come first so their digits
+// are not taken for phone or card numbers
+const BUILT_IN_PATTERNS: Record<PiiType, RegExp> = {
+  api_key: /\bsk-[A-Za-z0-9][A-Za-z0-9_-]{19,}/g,
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  credit_card: /\b\d(?:[ -]?\d){12,18}\b/g,
+  // Not part of a longer digit sequence, such as a card that failed Luhn
+  phone: /(?<![\w[]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]?\d{3,4}\b(?![ .-]?\d)/g,
+};
+
+let cachedConfig: RedactionConfig | undefined;
+
+/**
+ * Check the Luhn checksum, so only plausible card numbers are redacted
+ */
+function passesLuhn(candidate: string): boolean {
+  const digits = candidate.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Load the redaction settings once. A config file that cannot be read or
+ * holds an invalid pattern throws, so requests fail rather than go out
+ * unredacted.
+ */
+export function getRedactionConfig(): RedactionConfig {
+  if (cachedConfig) return cachedConfig;
+
+  const config: RedactionConfig = {
+    enabled: process.env.PII_REDACTION === "on",
+    types: [...PII_TYPES],
+    patterns: {},
+    restore: false,
+  };
+
+  const configPath = process.env.PII_REDACTION_CONFIG;
+  if (configPath) {
+    let fileConfig: Partial<RedactionConfig>;
+    try {
+      fileConfig = JSON.parse(readFileSync(configPath, "utf-8"));
+    } catch (error: any) {
+      throw new Error(`Failed to read PII_REDACTION_CONFIG ${configPath}: ${error.message}`);
+    }
+    Object.assign(config, fileConfig);
+    if (fileConfig.enabled === undefined) {
+      config.enabled = true;
+    }
+  }
+
+  for (const [name, pattern] of Object.entries(config.patterns)) {
+    try {
+      new RegExp(pattern);
+    } catch (error: any) {
+      throw new Error(`Invalid redaction pattern "${name}": ${error.message}`);
+    }
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * Masks PII in outgoing text with numbered placeholders such as [EMAIL_1].
+ * The same value always gets the same placeholder within a request, so the
+ * model can still tell values apart, and replies can be restored.
+ */
+export class Redactor {
+  private valuesByPlaceholder = new Map<string, string>();
+  private placeholdersByValue = new Map<string, string>();
+  private counts: Record<string, number> = {};
+  private patterns: Array<{ name: string; regex: RegExp }>;
+
+  constructor(private config: RedactionConfig) {
+    this.patterns = [
+      ...PII_TYPES.filter((type) => config.types.includes(type)).map((type) => ({
+        name: type,
+        regex: BUILT_IN_PATTERNS[type],
+      })),
+      ...Object.entries(config.patterns).map(([name, pattern]) => ({
+        name,
+        regex: new RegExp(pattern, "g"),
+      })),
+    ];
+  }
+
+  get hasRedactions(): boolean {
+    return this.valuesByPlaceholder.size > 0;
+  }
+
+  private placeholderFor(name: string, value: string): string {
+    const key = `${name}\0${value}`;
+    let placeholder = this.placeholdersByValue.get(key);
+    if (!placeholder) {
+      this.counts[name] = (this.counts[name] || 0) + 1;
+      placeholder = `[${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_${this.counts[name]}]`;
+      this.placeholdersByValue.set(key, placeholder);
+      this.valuesByPlaceholder.set(placeholder, value);
+    }
+    return placeholder;
+  }
+
+  redactText(text: string): string {
+    let redacted = text;
+    for (const { name, regex } of this.patterns) {
+      redacted = redacted.replace(regex, (match) =>
+        name === "credit_card" && !passesLuhn(match) ? match : this.placeholderFor(name, match)
+      );
+    }
+    return redacted;
+  }
+
+  /**
+   * Redact the text of every message, including tool call arguments
+   */
+  redactMessages(messages: ChatCompletionMessageParam[]): ChatCompletionMessageParam[] {
+    return messages.map((message) => {
+      let redacted: any = message;
+      if (typeof message.content === "string") {
+        redacted = { ...message, content: this.redactText(message.content) };
+      } else if (Array.isArray(message.content)) {
+        redacted = {
+          ...message,
+          content: (message.content as any[]).map((part) =>
+            part.type === "text" ? { ...part, text: this.redactText(part.text) } : part
+          ),
+        };
+      }
+      if (message.role === "assistant" && message.tool_calls) {
+        redacted.tool_calls = message.tool_calls.map((call) => ({
+          ...call,
+          function: { ...call.function, arguments: this.redactText(call.function.arguments) },
+        }));
+      }
+      return redacted as ChatCompletionMessageParam;
+    });
+  }
+
+  /**
+   * Put the original values back in place of placeholders, if configured.
+   * Works on strings and on the strings inside parsed JSON and tool calls.
+   */
+  restore<T>(value: T): T {
+    if (!this.config.restore || !this.hasRedactions) return value;
+    if (typeof value === "string") {
+      return value.replace(/\[[A-Z0-9_]+_\d+\]/g, (placeholder) =>
+        this.valuesByPlaceholder.get(placeholder) ?? placeholder
+      ) as T;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.restore(item)) as T;
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.restore(item)])
+      ) as T;
+    }
+    return value;
+  }
+
+  report(): RedactionReport {
+    return {
+      counts: { ...this.counts },
+      placeholders: [...this.valuesByPlaceholder.keys()],
+      restored: this.config.restore,
+    };
+  }
+}
+
+/**
+ * Create the redactor for a call, or undefined when redaction is off. The
+ * server config wins over the call's redact_pii; restore_pii overrides the
+ * config's restore setting.
+ */
+export function createRedactor(options: {
+  redact_pii?: boolean;
+  restore_pii?: boolean;
+}): Redactor | undefined {
+  const config = getRedactionConfig();
+  if (!config.enabled && !options.redact_pii) {
+    return undefined;
+  }
+  return new Redactor({ ...config, restore: options.restore_pii ?? config.restore });
+}
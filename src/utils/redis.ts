@@ -0,0 +1,43 @@
+import { createClient } from "redis";
+
+export type RedisClient = ReturnType<typeof createClient>;
+
+let client: RedisClient | null = null;
+let connectPromise: Promise<RedisClient> | null = null;
+
+/**
+ * Whether shared state should live in Redis (REDIS_URL is set)
+ */
+export function isRedisEnabled(): boolean {
+  return !!process.env.REDIS_URL;
+}
+
+/**
+ * Get the Redis client, connecting lazily on first use.
+ * Returns null when REDIS_URL is not set.
+ */
+export async function getRedisClient(): Promise<RedisClient | null> {
+  const url = process.env.REDIS_URL;
+  if (!url) return null;
+
+  if (client) return client;
+  if (connectPromise) return connectPromise;
+
+  connectPromise = (async () => {
+    const c = createClient({ url });
+    c.on("error", (err) => {
+      console.error(`Redis client error: ${err.message}`);
+    });
+    try {
+      await c.connect();
+      console.error("Redis connected");
+      client = c;
+      return c;
+    } catch (err) {
+      connectPromise = null;
+      throw err;
+    }
+  })();
+
+  return connectPromise;
+}
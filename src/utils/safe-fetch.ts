@@ -0,0 +1,314 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import fetch, { Response } from "node-fetch";
+
+const DEFAULT_TIMEOUT = 15000; // ms
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 3;
+
+export type FetchErrorCode =
+  | "invalid_url"
+  | "unsupported_protocol"
+  | "host_not_allowed"
+  | "host_blocked"
+  | "private_address"
+  | "dns_failed"
+  | "too_many_redirects"
+  | "too_large"
+  | "unsupported_content_type"
+  | "http_error"
+  | "timeout"
+  | "network_error";
+
+/**
+ * Raised when a remote fetch is refused or fails. `code` says which check
+ * stopped it; `status` is set for HTTP errors.
+ */
+export class FetchError extends Error {
+  constructor(
+    public readonly code: FetchErrorCode,
+    message: string,
+    public readonly status?: number
+  ) {
+    super(`${message} (${code})`);
+    this.name = "FetchError";
+  }
+}
+
+/**
+ * Where remote fetches may go. Read from the environment:
+ * - FETCH_ALLOWED_HOSTS: comma-separated hosts; when set, no other host is
+ *   fetched. "*.example.com" matches example.com and its subdomains.
+ * - FETCH_BLOCKED_HOSTS: hosts never fetched, in the same format
+ * - FETCH_ALLOW_PRIVATE_NETWORKS=on: allow loopback, private and link-local
+ *   addresses (for local development only)
+ * - FETCH_MAX_BYTES and FETCH_MAX_REDIRECTS
+ */
+export interface FetchPolicy {
+  allowedHosts: string[];
+  blockedHosts: string[];
+  allowPrivateNetworks: boolean;
+  maxBytes: number;
+  maxRedirects: number;
+}
+
+let cachedPolicy: FetchPolicy | undefined;
+
+function readHostList(value?: string): string[] {
+  return (value || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function readCount(name: string, fallback: number): number {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${name}: expected a non-negative integer`);
+  }
+  return parsed;
+}
+
+export function getFetchPolicy(): FetchPolicy {
+  if (cachedPolicy) return cachedPolicy;
+  cachedPolicy = {
+    allowedHosts: readHostList(process.env.FETCH_ALLOWED_HOSTS),
+    blockedHosts: readHostList(process.env.FETCH_BLOCKED_HOSTS),
+    allowPrivateNetworks: process.env.FETCH_ALLOW_PRIVATE_NETWORKS === "on",
+    maxBytes: readCount("FETCH_MAX_BYTES", DEFAULT_MAX_BYTES),
+    maxRedirects: readCount("FETCH_MAX_REDIRECTS", DEFAULT_MAX_REDIRECTS),
+  };
+  return cachedPolicy;
+}
+
+// Loopback, private, link-local (including cloud metadata endpoints such as
+// 169.254.169.254 and fd00:ec2::254), carrier-grade NAT, documentation,
+// benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+] as const) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+] as const) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Whether an IP address is in a range that must not be fetched from
+ */
+export function isPrivateAddress(address: string): boolean {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function matchesHost(host: string, patterns: string[]): boolean {
+  return patterns.some((pattern) =>
+    pattern.startsWith("*.")
+      ? host === pattern.slice(2) || host.endsWith(pattern.slice(1))
+      : host === pattern
+  );
+}
+
+/**
+ * Check a URL against the protocol, host lists and, for IP literals, the
+ * private ranges. Host names are checked again once resolved.
+ */
+function checkUrl(url: URL, policy: FetchPolicy): void {
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new FetchError("unsupported_protocol", `Only http and https URLs can be fetched, not ${url.protocol}`);
+  }
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  if (matchesHost(host, policy.blockedHosts)) {
+    throw new FetchError("host_blocked", `Host ${host} is blocked`);
+  }
+  if (policy.allowedHosts.length > 0 && !matchesHost(host, policy.allowedHosts)) {
+    throw new FetchError("host_not_allowed", `Host ${host} is not in FETCH_ALLOWED_HOSTS`);
+  }
+  if (!policy.allowPrivateNetworks && isPrivateAddress(host)) {
+    throw new FetchError("private_address", `${host} is a private or reserved address`);
+  }
+}
+
+/**
+ * DNS lookup for the fetch agents. Every address a name resolves to is
+ * checked, and the connection is made to the checked address, so a second
+ * DNS answer (DNS rebinding) cannot point it somewhere else.
+ */
+function pinnedLookup(
+  hostname: string,
+  options: dns.LookupOptions,
+  callback: (error: NodeJS.ErrnoException | null, address: any, family?: number) => void
+): void {
+  dns.lookup(hostname, { all: true, verbatim: true, family: options.family }, (error, addresses) => {
+    if (error || addresses.length === 0) {
+      callback(
+        new FetchError("dns_failed", `Could not resolve ${hostname}${error ? `: ${error.code || error.message}` : ""}`),
+        undefined
+      );
+      return;
+    }
+    if (!getFetchPolicy().allowPrivateNetworks) {
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        callback(
+          new FetchError("private_address", `${hostname} resolves to the private or reserved address ${blocked.address}`),
+          undefined
+        );
+        return;
+      }
+    }
+    const { address, family } = addresses[0];
+    if (options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  });
+}
+
+const LOOKUP_ERROR_CODES: FetchErrorCode[] = ["dns_failed", "private_address"];
+
+const httpAgent = new http.Agent({ lookup: pinnedLookup as any });
+const httpsAgent = new https.Agent({ lookup: pinnedLookup as any });
+
+export interface SafeFetchOptions {
+  // Accepted Content-Type prefixes, e.g. "image/"; a missing Content-Type
+  // counts as application/octet-stream
+  contentTypes?: string[];
+  timeoutMs?: number;
+  headers?: Record<string, string>;
+}
+
+function checkContentType(response: Response, contentTypes?: string[]): void {
+  if (!contentTypes) return;
+  const contentType = (response.headers.get("content-type") || "application/octet-stream")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!contentTypes.some((accepted) => contentType.startsWith(accepted))) {
+    throw new FetchError("unsupported_content_type", `Unexpected Content-Type ${contentType}`);
+  }
+}
+
+/**
+ * Read a response body, stopping as soon as it grows past maxBytes
+ */
+async function readLimited(response: Response, maxBytes: number, abort: () => void): Promise<Buffer> {
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > maxBytes) {
+    abort();
+    throw new FetchError("too_large", `Response of ${declared} bytes exceeds the ${maxBytes} byte limit`);
+  }
+
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of response.body as AsyncIterable<Buffer>) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      abort();
+      throw new FetchError("too_large", `Response exceeds the ${maxBytes} byte limit`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Fetch a user- or model-supplied URL without letting it reach internal
+ * services. Each request, including every redirect, is checked against
+ * the fetch policy; host names are resolved and pinned to public
+ * addresses; the body is limited in size and checked for its Content-Type.
+ * Refusals throw a FetchError with a code saying why.
+ */
+export async function safeFetch(source: string, options: SafeFetchOptions = {}): Promise<Buffer> {
+  const policy = getFetchPolicy();
+  let url: URL;
+  try {
+    url = new URL(source);
+  } catch {
+    throw new FetchError("invalid_url", `Invalid URL: ${source}`);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), options.timeoutMs ?? DEFAULT_TIMEOUT);
+  try {
+    for (let redirects = 0; ; redirects++) {
+      checkUrl(url, policy);
+      let response: Response;
+      try {
+        response = await fetch(url.href, {
+          signal: controller.signal,
+          redirect: "manual",
+          headers: { "User-Agent": "OpenRouter-MCP-Server/1.0", ...options.headers },
+          agent: (parsed: URL) => (parsed.protocol === "http:" ? httpAgent : httpsAgent),
+        });
+      } catch (error: any) {
+        throw toFetchError(error);
+      }
+
+      if (response.status >= 300 && response.status < 400 && response.headers.has("location")) {
+        response.body?.resume?.();
+        if (redirects >= policy.maxRedirects) {
+          throw new FetchError("too_many_redirects", `More than ${policy.maxRedirects} redirects`);
+        }
+        url = new URL(response.headers.get("location")!, url);
+        continue;
+      }
+      if (!response.ok) {
+        response.body?.resume?.();
+        throw new FetchError("http_error", `HTTP ${response.status}`, response.status);
+      }
+
+      checkContentType(response, options.contentTypes);
+      try {
+        return await readLimited(response, policy.maxBytes, () => controller.abort());
+      } catch (error: any) {
+        throw toFetchError(error);
+      }
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function toFetchError(error: any): FetchError {
+  if (error instanceof FetchError) return error;
+  // node-fetch wraps errors raised by the agent's lookup, keeping the code
+  if (LOOKUP_ERROR_CODES.includes(error.code)) {
+    const reason = error.message.replace(/^request to \S+ failed, reason: /, "").replace(/ \(\w+\)$/, "");
+    return new FetchError(error.code, reason);
+  }
+  if (error.name === "AbortError") return new FetchError("timeout", "Request timed out");
+  return new FetchError("network_error", error.message);
+}
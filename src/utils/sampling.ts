@@ -0,0 +1,96 @@
+import { findCachedModel } from "./context-budget.js";
+
+export interface ReasoningOptions {
+  effort?: "low" | "medium" | "high";
+  max_tokens?: number;
+  exclude?: boolean;
+  enabled?: boolean;
+}
+
+/**
+ * OpenRouter provider routing preferences
+ */
+export interface ProviderPreferences {
+  order?: string[];
+  allow_fallbacks?: boolean;
+  require_parameters?: boolean;
+  data_collection?: "allow" | "deny";
+  quantizations?: string[];
+}
+
+export interface SamplingParams {
+  temperature?: number;
+  max_tokens?: number;
+  top_p?: number;
+  top_k?: number;
+  stop?: string | string[];
+  seed?: number;
+  frequency_penalty?: number;
+  presence_penalty?: number;
+  repetition_penalty?: number;
+  logit_bias?: Record<string, number>;
+  reasoning?: ReasoningOptions;
+}
+
+// Sampling parameters checked against a model's supported_parameters
+const SAMPLING_PARAM_NAMES: Array<keyof SamplingParams> = [
+  "temperature",
+  "max_tokens",
+  "top_p",
+  "top_k",
+  "stop",
+  "seed",
+  "frequency_penalty",
+  "presence_penalty",
+  "repetition_penalty",
+  "logit_bias",
+  "reasoning",
+];
+
+/**
+ * Copy the sampling parameters that were actually set, so omitted ones fall
+ * back to the provider's defaults instead of ours
+ */
+export function pickSamplingParams(args: SamplingParams): SamplingParams {
+  const params: Record<string, unknown> = {};
+  for (const name of SAMPLING_PARAM_NAMES) {
+    if (args[name] !== undefined) {
+      params[name] = args[name];
+    }
+  }
+  return params as SamplingParams;
+}
+
+/**
+ * List the set parameters a model does not support, based on the
+ * supported_parameters it publishes in the model cache. Returns an empty list
+ * when the model is unknown, since there is nothing to check against.
+ */
+export function findUnsupportedParams(
+  model: string,
+  params: SamplingParams
+): string[] {
+  const supported: unknown = findCachedModel(model)?.supported_parameters;
+  if (!Array.isArray(supported)) {
+    return [];
+  }
+
+  return Object.keys(params).filter((name) => {
+    // Older model entries advertise reasoning support as include_reasoning
+    if (name === "reasoning") {
+      return !supported.includes("reasoning") && !supported.includes("include_reasoning");
+    }
+    return !supported.includes(name);
+  });
+}
+
+/**
+ * Error message for parameters a model does not support
+ */
+export function formatUnsupportedParamsError(model: string, unsupported: string[]): string {
+  const supported: string[] = findCachedModel(model)?.supported_parameters || [];
+  return (
+    `Model ${model} does not support: ${unsupported.join(", ")}. ` +
+    `Supported parameters: ${supported.join(", ") || "none listed"}.`
+  );
+}
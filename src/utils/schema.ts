@@ -1,5 +1,113 @@
 import { z } from "zod";
 
+const modelsSchema = z
+  .array(z.string())
+  .min(1)
+  .max(10)
+  .optional()
+  .describe(
+    "Fallback models, tried in order when the primary model is rate limited, unavailable or out of context"
+  );
+
+const messageContentSchema = z.union([
+  z.string().describe("The text content of the message"),
+  z
+    .array(
+      z.object({
+        type: z
+          .enum(["text", "image_url", "file", "input_audio"])
+          .describe("The type of content"),
+        text: z
+          .string()
+          .optional()
+          .describe("The text content (for text type)"),
+        image_url: z
+          .object({
+            url: z.string().describe("The URL or data URL of the image"),
+          })
+          .optional()
+          .describe("The image URL object (for image_url type)"),
+        file: z
+          .object({
+            filename: z.string().optional().describe("Name of the file"),
+            file_data: z
+              .string()
+              .describe(
+                "Absolute local path, file:// URL, http(s) URL or data URL of the document (PDF; TIFFs are split into page images)"
+              ),
+          })
+          .optional()
+          .describe("The document (for file type)"),
+        input_audio: z
+          .object({
+            data: z
+              .string()
+              .describe(
+                "Absolute local path, file:// URL or data URL of a wav, mp3, ogg, flac or m4a file, or base64 audio data"
+              ),
+            format: z
+              .enum(["wav", "mp3", "ogg", "flac", "m4a"])
+              .optional()
+              .describe("Audio format (required for base64 data; files are detected from their bytes)"),
+          })
+          .optional()
+          .describe("The audio (for input_audio type; audio-capable models only)"),
+      })
+    )
+    .describe("Array of content parts for multimodal messages"),
+]);
+
+const cacheModeSchema = z
+  .enum(["use", "refresh", "bypass"])
+  .optional()
+  .describe(
+    'Response cache: "use" answers identical requests from the cache, "refresh" calls the model and replaces the cached answer, "bypass" skips the cache. Only requests with temperature 0 or a seed are cached. Defaults to OPENROUTER_RESPONSE_CACHE, else "bypass".'
+  );
+
+const redactPiiSchema = z
+  .boolean()
+  .optional()
+  .describe(
+    "Mask emails, phone numbers, card numbers, API keys and configured patterns in outgoing text with placeholders such as [EMAIL_1]. Always on when the server enforces redaction."
+  );
+
+const restorePiiSchema = z
+  .boolean()
+  .optional()
+  .describe(
+    "Put the original values back in place of placeholders in the reply (defaults to the server's redaction config)"
+  );
+
+const pdfEngineSchema = z
+  .enum(["pdf-text", "mistral-ocr", "native"])
+  .optional()
+  .describe(
+    'How OpenRouter parses PDFs: "pdf-text" extracts embedded text, "mistral-ocr" OCRs scanned pages, "native" sends the file to models that read PDFs. Defaults to native where supported.'
+  );
+
+const imageDetailSchema = z
+  .enum(["low", "high", "original"])
+  .optional()
+  .describe(
+    'Resolution images are sent at: "low" (512 px) for a quick look, "high" (2048 px) for small text in screenshots and scans, "original" for full resolution. Defaults to 800 px.'
+  );
+
+const cropRegionSchema = z
+  .object({
+    x: z.number().min(0).describe("Left edge of the region"),
+    y: z.number().min(0).describe("Top edge of the region"),
+    width: z.number().positive().describe("Width of the region"),
+    height: z.number().positive().describe("Height of the region"),
+    unit: z
+      .enum(["px", "normalized"])
+      .optional()
+      .describe(
+        '"px" for pixels of the upright image (default), "normalized" for fractions (0-1) of its width and height'
+      ),
+  })
+  .optional()
+  .describe("Region of the image to zoom into; only this part is sent");
+
 const generateImageSchema = z.object({
   prompt: z.string().describe("Text prompt describing the image to generate"),
   model: z
@@ -8,6 +116,7 @@ const generateImageSchema = z.object({
     .describe(
       'OpenRouter model to use for generation (e.g., "google/gemini-2.5-flash-image"). If not provided, uses the default model from settings.'
     ),
+  models: modelsSchema,
   aspect_ratio: z
     .enum([
       "1:1",
@@ -86,4 +195,169 @@ const generateImageSchema = z.object({
     ),
 });
 
-export { generateImageSchema };
+const responseFormatSchema = z
+  .discriminatedUnion("type", [
+    z.object({ type: z.literal("text") }),
+    z.object({ type: z.literal("json_object") }),
+    z.object({
+      type: z.literal("json_schema"),
+      json_schema: z.object({
+        name: z.string().describe("Name of the output schema"),
+        description: z
+          .string()
+          .optional()
+          .describe("What the structured output represents"),
+        schema: z
+          .record(z.any())
+          .describe("JSON Schema the reply must validate against"),
+        strict: z
+          .boolean()
+          .optional()
+          .describe("Ask the provider to enforce the schema strictly"),
+      }),
+    }),
+  ])
+  .optional()
+  .describe(
+    'Structured output mode: "json_object" for any JSON object, or "json_schema" with a schema the reply is validated against. The parsed object is returned as structuredContent.'
+  );
+
+const repairAttemptsSchema = z
+  .number()
+  .int()
+  .min(0)
+  .max(5)
+  .optional()
+  .describe(
+    "How many times to re-prompt the model with validation errors when its reply does not match response_format (default 2)"
+  );
+
+const reasoningSchema = z
+  .object({
+    effort: z
+      .enum(["low", "medium", "high"])
+      .optional()
+      .describe("Reasoning effort level"),
+    max_tokens: z
+      .number()
+      .int()
+      .min(1)
+      .optional()
+      .describe("Maximum tokens to spend on reasoning"),
+    exclude: z
+      .boolean()
+      .optional()
+      .describe("Let the model reason but leave the trace out of the response"),
+    enabled: z
+      .boolean()
+      .optional()
+      .describe("Turn reasoning on with the default settings"),
+  })
+  .optional()
+  .describe(
+    "Reasoning settings for reasoning-capable models. The reasoning trace is returned as a separate content block, never inside the answer."
+  );
+
+const samplingParamsSchema = z.object({
+  temperature: z
+    .number()
+    .min(0)
+    .max(2)
+    .optional()
+    .describe("Sampling temperature (0-2). Omit to use the provider default."),
+  max_tokens: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe("Maximum number of tokens to generate"),
+  top_p: z
+    .number()
+    .min(0)
+    .max(1)
+    .optional()
+    .describe("Nucleus sampling: only consider tokens in the top P probability mass"),
+  top_k: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("Only sample from the K most likely tokens"),
+  stop: z
+    .union([z.string(), z.array(z.string()).max(4)])
+    .optional()
+    .describe("Sequence(s) where generation stops"),
+  seed: z
+    .number()
+    .int()
+    .optional()
+    .describe("Seed for deterministic sampling, where the provider supports it"),
+  frequency_penalty: z
+    .number()
+    .min(-2)
+    .max(2)
+    .optional()
+    .describe("Penalize tokens by how often they already appeared (-2 to 2)"),
+  presence_penalty: z
+    .number()
+    .min(-2)
+    .max(2)
+    .optional()
+    .describe("Penalize tokens that already appeared at all (-2 to 2)"),
+  repetition_penalty: z
+    .number()
+    .gt(0)
+    .max(2)
+    .optional()
+    .describe("Reduce repetition of tokens from the input (0-2, 1 = off)"),
+  logit_bias: z
+    .record(z.number().min(-100).max(100))
+    .optional()
+    .describe("Map of token IDs to a bias from -100 to 100"),
+  reasoning: reasoningSchema,
+});
+
+const providerPreferencesSchema = z
+  .object({
+    order: z
+      .array(z.string())
+      .optional()
+      .describe('Provider slugs to try in order (e.g. ["anthropic", "openai"])'),
+    allow_fallbacks: z
+      .boolean()
+      .optional()
+      .describe("Whether other providers may be used when the preferred ones fail"),
+    require_parameters: z
+      .boolean()
+      .optional()
+      .describe("Only route to providers that support every parameter in the request"),
+    data_collection: z
+      .enum(["allow", "deny"])
+      .optional()
+      .describe('"deny" routes only to providers that do not store or train on prompts'),
+    quantizations: z
+      .array(
+        z.enum(["int4", "int8", "fp4", "fp6", "fp8", "fp16", "bf16", "fp32", "unknown"])
+      )
+      .optional()
+      .describe("Only route to providers serving these quantization levels"),
+  })
+  .optional()
+  .describe("OpenRouter provider routing preferences");
+
+export {
+  generateImageSchema,
+  responseFormatSchema,
+  repairAttemptsSchema,
+  samplingParamsSchema,
+  providerPreferencesSchema,
+  modelsSchema,
+  messageContentSchema,
+  reasoningSchema,
+  pdfEngineSchema,
+  imageDetailSchema,
+  cropRegionSchema,
+  cacheModeSchema,
+  redactPiiSchema,
+  restorePiiSchema,
+};
@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import { Ajv, ErrorObject, ValidateFunction } from "ajv";
+import { ChatCompletionMessageParam } from "openai/resources/chat/completions.js";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * Response format accepted by the chat and image analysis tools
+ */
+export type ResponseFormat =
+  | { type: "text" }
+  | { type: "json_object" }
+  | {
+      type: "json_schema";
+      json_schema: {
+        name: string;
+        description?: string;
+        schema: Record<string, any>;
+        strict?: boolean;
+      };
+    };
+
+// Number of times the model is re-prompted after an invalid reply
+export const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Raised when the model never produced a reply matching the response format
+ */
+export class StructuredOutputError extends Error {
+  constructor(
+    message: string,
+    public readonly errors: string[],
+    public readonly lastReply: string
+  ) {
+    super(message);
+    this.name = "StructuredOutputError";
+  }
+}
+
+// Compiled validators by schema hash, oldest first, so a schema sent with
+// every request is compiled once
+const MAX_CACHED_VALIDATORS = 100;
+const validators = new Map<string, ValidateFunction>();
+
+/**
+ * JSON with object keys sorted, so equal schemas hash the same
+ */
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (typeof value === "object" && value !== null) {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Get the validator for a schema. Each schema is compiled on its own Ajv
+ * instance: on a shared one, a schema with an `$id` could only be added once,
+ * and every request's schema would stay registered for the life of the process.
+ */
+function getValidator(schema: Record<string, any>): ValidateFunction {
+  const key = crypto.createHash("sha256").update(canonicalJson(schema)).digest("hex");
+  let validate = validators.get(key);
+  if (validate) {
+    // Move to the end so the least recently used validator is evicted first
+    validators.delete(key);
+  } else {
+    validate = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    if (validators.size >= MAX_CACHED_VALIDATORS) {
+      validators.delete(validators.keys().next().value!);
+    }
+  }
+  validators.set(key, validate);
+  return validate;
+}
+
+/**
+ * Whether a response format asks for JSON output
+ */
+export function isJsonResponseFormat(
+  responseFormat?: ResponseFormat
+): responseFormat is Exclude<ResponseFormat, { type: "text" }> {
+  return !!responseFormat && responseFormat.type !== "text";
+}
+
+/**
+ * Pull the JSON payload out of a reply, tolerating markdown code fences
+ */
+function extractJson(text: string): string {
+  const trimmed = text.trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return fenced ? fenced[1] : trimmed;
+}
+
+function formatAjvErrors(errors: ErrorObject[] | null | undefined): string[] {
+  return (errors || []).map(
+    (error) => `${error.instancePath || "/"} ${error.message || "is invalid"}`
+  );
+}
+
+/**
+ * Check that a json_schema response format holds a schema that compiles,
+ * so a bad schema is rejected before any model call is paid for
+ */
+export function checkResponseFormat(responseFormat?: ResponseFormat): void {
+  if (responseFormat?.type !== "json_schema") return;
+  try {
+    getValidator(responseFormat.json_schema.schema);
+  } catch (error: any) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid JSON schema in response_format: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a model reply and validate it against the response format
+ */
+export function validateStructuredOutput(
+  text: string,
+  responseFormat: ResponseFormat
+): { valid: true; data: unknown } | { valid: false; errors: string[] } {
+  let data: unknown;
+  try {
+    data = JSON.parse(extractJson(text));
+  } catch (error: any) {
+    return { valid: false, errors: [`Reply is not valid JSON: ${error.message}`] };
+  }
+
+  if (responseFormat.type === "json_object") {
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      return { valid: false, errors: ["Reply must be a JSON object"] };
+    }
+    return { valid: true, data };
+  }
+
+  if (responseFormat.type === "json_schema") {
+    checkResponseFormat(responseFormat);
+    const validate = getValidator(responseFormat.json_schema.schema);
+    if (!validate(data)) {
+      return { valid: false, errors: formatAjvErrors(validate.errors) };
+    }
+  }
+
+  return { valid: true, data };
+}
+
+/**
+ * Wrap parsed output so it can be returned as MCP structuredContent,
+ * which must be a JSON object
+ */
+export function toStructuredContent(data: unknown): Record<string, unknown> {
+  if (typeof data === "object" && data !== null && !Array.isArray(data)) {
+    return data as Record<string, unknown>;
+  }
+  return { result: data };
+}
+
+/**
+ * Run a completion until its reply satisfies the response format.
+ * After an invalid reply the model is shown the validation errors and asked
+ * to answer again, up to `repairAttempts` times. Replies that carry tool calls
+ * are returned as-is since they are not a final answer.
+ */
+export async function completeWithStructuredOutput<
+  R extends { text: string; toolCalls?: unknown[] }
+>(
+  messages: ChatCompletionMessageParam[],
+  responseFormat: ResponseFormat,
+  complete: (messages: ChatCompletionMessageParam[]) => Promise<R>,
+  repairAttempts: number = DEFAULT_REPAIR_ATTEMPTS
+): Promise<{ result: R; data?: unknown; attempts: number }> {
+  checkResponseFormat(responseFormat);
+  let conversation = messages;
+  let lastErrors: string[] = [];
+  let lastReply = "";
+
+  for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+    const result = await complete(conversation);
+    if (result.toolCalls && result.toolCalls.length > 0) {
+      return { result, attempts: attempt };
+    }
+
+    const validation = validateStructuredOutput(result.text, responseFormat);
+    if (validation.valid) {
+      return { result, data: validation.data, attempts: attempt };
+    }
+
+    lastErrors = validation.errors;
+    lastReply = result.text;
+    console.error(
+      `Structured output attempt ${attempt} failed: ${lastErrors.join("; ")}`
+    );
+
+    conversation = [
+      ...conversation,
+      { role: "assistant", content: result.text },
+      {
+        role: "user",
+        content:
+          "Your previous reply did not match the required JSON format:\n" +
+          lastErrors.map((error) => `- ${error}`).join("\n") +
+          "\n\nReply again with only the corrected JSON, no prose or code fences.",
+      },
+    ];
+  }
+
+  throw new StructuredOutputError(
+    `Model reply did not match the response format after ${
+      repairAttempts + 1
+    } attempt(s): ${lastErrors.join("; ")}`,
+    lastErrors,
+    lastReply
+  );
+}
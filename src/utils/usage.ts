@@ -0,0 +1,157 @@
+import { estimateCost } from "./pricing.js";
+
+/**
+ * Request parameter that makes OpenRouter report cost and token details
+ * (reasoning, cached and image tokens) in the response usage
+ */
+export const USAGE_ACCOUNTING = { usage: { include: true } };
+
+export interface UsageTotals {
+  prompt_tokens: number;
+  completion_tokens: number;
+  reasoning_tokens: number;
+  image_tokens: number;
+  cached_tokens: number;
+  total_tokens: number;
+  cost_usd: number | null;
+}
+
+/**
+ * Usage of a single OpenRouter call
+ */
+export interface CallUsage extends UsageTotals {
+  model?: string;
+  generation_id?: string;
+  cost_source: "openrouter" | "estimated" | "unknown";
+}
+
+/**
+ * Usage reported with a tool result: totals over every call the tool made,
+ * with the model and generation id of the final call
+ */
+export interface ToolUsage extends UsageTotals {
+  model?: string;
+  generation_id?: string;
+  calls?: CallUsage[];
+}
+
+export interface SessionUsage extends UsageTotals {
+  requests: number;
+  since: string;
+}
+
+const emptyTotals = (): UsageTotals => ({
+  prompt_tokens: 0,
+  completion_tokens: 0,
+  reasoning_tokens: 0,
+  image_tokens: 0,
+  cached_tokens: 0,
+  total_tokens: 0,
+  cost_usd: null,
+});
+
+// Each MCP session runs in its own process, so module state is per session
+const sessionUsage: SessionUsage = {
+  ...emptyTotals(),
+  requests: 0,
+  since: new Date().toISOString(),
+};
+
+function addTotals(target: UsageTotals, usage: UsageTotals) {
+  target.prompt_tokens += usage.prompt_tokens;
+  target.completion_tokens += usage.completion_tokens;
+  target.reasoning_tokens += usage.reasoning_tokens;
+  target.image_tokens += usage.image_tokens;
+  target.cached_tokens += usage.cached_tokens;
+  target.total_tokens += usage.total_tokens;
+  if (usage.cost_usd !== null) {
+    target.cost_usd = (target.cost_usd ?? 0) + usage.cost_usd;
+  }
+}
+
+/**
+ * Normalize an OpenRouter usage object. The cost OpenRouter reports is used
+ * when present, otherwise it is estimated from the model cache pricing.
+ */
+export function toCallUsage(
+  usage: any,
+  model?: string,
+  generationId?: string
+): CallUsage {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+
+  let cost: number | null = null;
+  let costSource: CallUsage["cost_source"] = "unknown";
+  if (typeof usage?.cost === "number") {
+    cost = usage.cost;
+    costSource = "openrouter";
+  } else if (model && usage) {
+    cost = estimateCost(model, usage);
+    costSource = cost === null ? "unknown" : "estimated";
+  }
+
+  return {
+    model,
+    generation_id: generationId,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    reasoning_tokens: usage?.completion_tokens_details?.reasoning_tokens || 0,
+    image_tokens:
+      (usage?.prompt_tokens_details?.image_tokens || 0) +
+      (usage?.completion_tokens_details?.image_tokens || 0),
+    cached_tokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+    total_tokens: usage?.total_tokens || promptTokens + completionTokens,
+    cost_usd: cost,
+    cost_source: costSource,
+  };
+}
+
+/**
+ * Running totals for the current session
+ */
+export function getSessionUsage(): SessionUsage {
+  return { ...sessionUsage };
+}
+
+/**
+ * Collects the usage of every OpenRouter call a tool makes. Each call is
+ * added to the session totals as soon as it is recorded, so calls made
+ * before a later failure are still counted.
+ */
+export class UsageTracker {
+  private calls: CallUsage[] = [];
+
+  record(usage: any, model?: string, generationId?: string): CallUsage {
+    const call = toCallUsage(usage, model, generationId);
+    this.calls.push(call);
+    addTotals(sessionUsage, call);
+    sessionUsage.requests++;
+    return call;
+  }
+
+  get hasCalls(): boolean {
+    return this.calls.length > 0;
+  }
+
+  summary(): ToolUsage {
+    const totals = emptyTotals();
+    for (const call of this.calls) {
+      addTotals(totals, call);
+    }
+    const last = this.calls[this.calls.length - 1];
+    return {
+      model: last?.model,
+      generation_id: last?.generation_id,
+      ...totals,
+      ...(this.calls.length > 1 && { calls: this.calls }),
+    };
+  }
+
+  /**
+   * Usage fields for a tool result's metadata
+   */
+  toMetadata(): { usage: ToolUsage; session_usage: SessionUsage } {
+    return { usage: this.summary(), session_usage: getSessionUsage() };
+  }
+}